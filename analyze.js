@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/* -----------------------------------------------------------
+ * Batch analysis of a pose library from the command line
+ *   analyze <states.json>               per-state metrics table
+ *   analyze <states.json> --json        the same as JSON
+ *   analyze <states.json> diff <i> <j>  joint-by-joint difference of two states
+ * states.js (window.PRECOMPUTED_STATES = [...]) is accepted as well.
+ * --------------------------------------------------------- */
+
+import { readFileSync } from 'node:fs';
+import { BONES, JOINT_NAMES, analyzeState, boneLengths, isPoseRecord, poseDiff } from './pose.js';
+
+const USAGE = 'usage: analyze <states.json> [--json | diff <i> <j>]';
+const BONE_TOLERANCE = 0.1;                   // relative deviation flagged in the summary
+
+function loadStates(file){
+  const text=readFileSync(file,'utf8');
+  const json=text.trimStart().startsWith('[') ? text
+                                              : text.slice(text.indexOf('['), text.lastIndexOf(']')+1);
+  const list=JSON.parse(json);
+  if(!Array.isArray(list)) throw new Error(`${file}: expected an array of states`);
+  return list;
+}
+
+const label=s=>s.name.replace(/\\n|\n/g,' / ');
+const median=xs=>{
+  const s=[...xs].sort((a,b)=>a-b), m=s.length>>1;
+  return s.length%2 ? s[m] : (s[m-1]+s[m])/2;
+};
+
+// per-state metrics for [{s, index}] (index = position in the file);
+// bone lengths are compared against the library median
+function report(entries){
+  const bones=entries.map(({s})=>[boneLengths(s.skeleton1), boneLengths(s.skeleton2)]);
+  const ref=BONES.map((_,b)=>median(bones.flatMap(([r,l])=>[r[b],l[b]])));
+  return entries.map(({s,index},i)=>({
+    index,
+    name:label(s),
+    ...analyzeState(s),
+    boneDeviation:Math.max(...bones[i].flatMap(ls=>ls.map((L,b)=>Math.abs(L-ref[b])/ref[b])))
+  }));
+}
+
+function printTable(rows){
+  if(!rows.length){ console.log('0 states'); return; }
+  const num=(v,w,d=2)=>(v===null ? '-' : v.toFixed(d)).padStart(w);
+  console.log('    #    link  wr red wr blue     f0     f1  Δfeat  bone%  name');
+  rows.forEach(r=>console.log([
+    String(r.index).padStart(5), num(r.link,7), num(r.writhe[0],7), num(r.writhe[1],7),
+    num(r.features[0],6), num(r.features[1],6), num(r.featureError,6,3),
+    num(100*r.boneDeviation,6,1), ' '+r.name
+  ].join(' ')));
+  const errs=rows.map(r=>r.featureError).filter(e=>e!==null);
+  console.log(`\n${rows.length} states`
+    +` | mean |link| ${(rows.reduce((s,r)=>s+Math.abs(r.link),0)/rows.length).toFixed(3)}`
+    +` | max feature error ${errs.length ? Math.max(...errs).toFixed(3) : '-'}`
+    +` | bone length off by >${100*BONE_TOLERANCE}%: ${rows.filter(r=>r.boneDeviation>BONE_TOLERANCE).length}`);
+}
+
+// i, j are positions in the file, malformed records included
+function printDiff(states, i, j){
+  const A=states[i], B=states[j];
+  if(!A || !B) throw new Error(`state index out of range (0-${states.length-1})`);
+  [i,j].forEach(n=>{ if(!isPoseRecord(states[n])) throw new Error(`state ${n} is malformed`); });
+  const d=poseDiff(A,B);
+  console.log(`${i}: ${label(A)}\n${j}: ${label(B)}\nrms ${d.rms.toFixed(4)}  max ${d.max.toFixed(4)}`);
+  d.joints.forEach((v,n)=>{
+    const who=n<JOINT_NAMES.length ? 'red ' : 'blue';
+    console.log(`  ${who} ${JOINT_NAMES[n%JOINT_NAMES.length].padEnd(14)} ${v.toFixed(4)}`);
+  });
+}
+
+function main(argv){
+  const [file, cmd, ...rest]=argv;
+  if(!file || (cmd && cmd!=='--json' && cmd!=='diff')) throw new Error(USAGE);
+  const all=loadStates(file);
+  if(cmd==='diff'){
+    if(rest.length!==2) throw new Error(USAGE);
+    return printDiff(all, +rest[0], +rest[1]);
+  }
+  const entries=all.map((s,index)=>({s,index})).filter(({s})=>isPoseRecord(s));
+  if(entries.length<all.length) console.error(`skipped ${all.length-entries.length} malformed state(s)`);
+  const rows=report(entries);
+  if(cmd==='--json') console.log(JSON.stringify(rows,null,1));
+  else printTable(rows);
+  if(all.length && !entries.length) process.exitCode=1;   // nothing usable in the file
+}
+
+try {
+  main(process.argv.slice(2));
+} catch(err){
+  console.error(err.message);
+  process.exitCode=1;
+}
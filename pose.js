@@ -0,0 +1,608 @@
+/* -----------------------------------------------------------
+ * Headless pose math for the GrappleMap demo – no DOM in here:
+ *  • skeleton layout, bone-length / radial constraints, FABRIK IK
+ *  • pins, limb rotation, capsule collisions
+ *  • Gauss linking / writhe, topology coordinates (features)
+ *  • bone-preserving interpolation, library record schema
+ * Used by script.js in the browser and by analyze.js / the tests in Node.
+ * --------------------------------------------------------- */
+
+export class V3 {
+  constructor(x=0,y=0,z=0){ this.x=x; this.y=y; this.z=z; }
+  clone(){ return new V3(this.x,this.y,this.z); }
+  add(v){ this.x+=v.x; this.y+=v.y; this.z+=v.z; return this; }
+  sub(v){ this.x-=v.x; this.y-=v.y; this.z-=v.z; return this; }
+  mul(s){ this.x*=s; this.y*=s; this.z*=s; return this; }
+  len(){ return Math.hypot(this.x,this.y,this.z); }
+  norm(){ const l=this.len(); return l?this.mul(1/l):this; }
+  dot(v){ return this.x*v.x+this.y*v.y+this.z*v.z; }
+  cross(v){return new V3(this.y*v.z-this.z*v.y,this.z*v.x-this.x*v.z,this.x*v.y-this.y*v.x);}
+}
+export const PARENT = [
+  1,   // 0: leftFoot  ← leftKnee
+  2,   // 1: leftKnee  ← leftHip
+ -1,   // 2: leftHip   ← (root)
+  2,   // 3: core      ← leftHip
+  3,   // 4: leftShoulder ← core
+  4,   // 5: leftElbow   ← leftShoulder
+  5,   // 6: leftHand    ← leftElbow
+  3,   // 7: head        ← core
+  9,   // 8: rightHand   ← rightElbow
+ 10,   // 9: rightElbow  ← rightShoulder
+  3,   //10: rightShoulder ← core
+  2,   //11: rightHip    ← leftHip (root)
+ 11,   //12: rightKnee   ← rightHip
+ 12    //13: rightFoot   ← rightKnee
+];
+export const JOINT_NAMES = [
+  'leftFoot','leftKnee','leftHip','core','leftShoulder','leftElbow','leftHand',
+  'head','rightHand','rightElbow','rightShoulder','rightHip','rightKnee','rightFoot'
+];
+export const HEAD_IDX       = 7;
+export const HIP_IDX        = 2;
+export const SHOULDER_L_IDX = 4;
+export const SHOULDER_R_IDX = 10;
+
+/* ---------- tiny skeleton/IK helpers ---------------------------------- */
+export const BONES = [
+  [0,1],[1,2],[2,3],    // left leg & hip-core
+  [3,4],[4,5],[5,6],    // left arm
+  [3,7],                // neck
+  [3,10],[10,9],[9,8],  // right arm
+  [2,11],[11,12],[12,13]// right leg
+];
+
+// IK chains, root first: the root stays put while the last joint reaches
+export const IK_CHAINS = [
+  [2,1,0], [11,12,13],  // hip → knee → foot
+  [4,5,6], [10,9,8],    // shoulder → elbow → hand
+  [3,7]                 // core → head
+];
+// angle limits at the named joint (degrees between incoming and outgoing bone);
+// a hinge flexes one way only about the axis between its two joints – knees
+// about left→right hip, elbows about right→left shoulder (so they fold the
+// other way) – the neck is a cone about the spine
+export const JOINT_LIMITS = {
+  1:  { maxBend:160, hinge:[HIP_IDX, 11] },                          // left knee
+  12: { maxBend:160, hinge:[HIP_IDX, 11] },                          // right knee
+  5:  { maxBend:165, hinge:[SHOULDER_R_IDX, SHOULDER_L_IDX] },       // left elbow
+  9:  { maxBend:165, hinge:[SHOULDER_R_IDX, SHOULDER_L_IDX] },       // right elbow
+  3:  { maxBend:80 }                                                 // neck
+};
+const HINGE_MIN_SIN = 0.2;    // bone nearly along its hinge axis: no defined flex side
+
+export function propagateDescendants(i, Δ, av){
+  av.j.forEach((p, idx)=>{
+    if (PARENT[idx] === i && !av.pinned.has(idx)){
+      const old = p.clone();
+      p.add(Δ);
+      clampToParent(idx, av);
+      const realΔ = p.clone().sub(old);
+      propagateDescendants(idx, realΔ, av);
+    }
+  });
+}
+export function clampRadialDelta(i, Δ, av){
+  const maxW = av.shoulderWidth;
+  const partners = (i === HEAD_IDX)
+    ? [SHOULDER_L_IDX, SHOULDER_R_IDX]
+    : [HEAD_IDX];
+  let d = Δ.clone();
+  for (const j of partners){
+    const v = av.j[i].clone().sub(av.j[j]);
+    const L = v.len();
+    if (L < 1e-6) continue;
+    const u = v.mul(1/L);                   // unit from j→i
+    const rad = u.dot(d);                   // how much Δ pushes out
+    if (rad <= 0) continue;                 // inward or tangent ok
+    const allowed = maxW - L;
+    if (L + rad > maxW){
+      const remove = rad - allowed;
+      d = d.sub(u.mul(remove));             // strip excess radial
+    }
+  }
+  return d;
+}
+export function clampNeckShoulder(i, av){
+  const W = av.shoulderWidth,
+        h = av.j[HEAD_IDX],
+        sL = av.j[SHOULDER_L_IDX],
+        sR = av.j[SHOULDER_R_IDX];
+
+  const clampPoint = (a, bIdx)=>{            // pull a toward b if too far
+    const b = av.j[bIdx], dir = a.clone().sub(b), d = dir.len();
+    if (d > W){
+      const newPos = b.clone().add(dir.mul(W/d)),
+            Δ = newPos.clone().sub(a);
+      av.j[bIdx === HEAD_IDX ? HEAD_IDX : i] = newPos;
+      propagateDescendants(bIdx === HEAD_IDX ? HEAD_IDX : i, Δ, av);
+      clampToParent(bIdx === HEAD_IDX ? HEAD_IDX : i, av);
+    }
+  };
+
+  if (i === HEAD_IDX){ clampPoint(h, SHOULDER_L_IDX); clampPoint(h, SHOULDER_R_IDX); }
+  else if (i === SHOULDER_L_IDX || i === SHOULDER_R_IDX){ clampPoint(h, i); }
+}
+
+export function makeAvatar(skel){
+  const j  = skel.map(p => new V3(p.x,p.y,p.z));
+  const len= j.map((_,i)=>PARENT[i]<0 ? 0 : j[i].clone().sub(j[PARENT[i]]).len());
+  const shoulderWidth = j[SHOULDER_L_IDX].clone().sub(j[SHOULDER_R_IDX]).len();
+  return { j, len, shoulderWidth, pinned:new Set() };
+}
+
+export function clampToParent(i,av){
+  const p=PARENT[i]; if(p<0 || av.pinned.has(i)) return;
+  const dir = av.j[i].clone().sub(av.j[p]);
+  const L   = av.len[i]||0;
+  if(!L) return;
+  av.j[i] = dir.len()<1e-6 ? av.j[p].clone().add(new V3(L,0,0))
+                           : av.j[p].clone().add(dir.norm().mul(L));
+}
+
+// pins can make part of Δ impossible; only the part they allow is applied
+export function moveJoint(i, Δ, av){
+  withinPins(av, f => moveFree(i, Δ.clone().mul(f), av));
+}
+
+function moveFree(i, Δ, av){
+  // prevent radial stretch on head/shoulder
+  if ([HEAD_IDX, SHOULDER_L_IDX, SHOULDER_R_IDX].includes(i)){
+    Δ = clampRadialDelta(i, Δ, av);
+  }
+
+  if (PARENT[i] < 0){
+    av.j.forEach((p, idx)=>{ if (idx !== i && !av.pinned.has(idx)) p.add(Δ); });
+    av.j[i].add(Δ);
+    return;
+  }
+
+  const chain = IK_CHAINS.find(c => c[c.length-1] === i);
+  if (chain) return solveChain(av, chain, av.j[i].clone().add(Δ));
+
+
+  const oldPos = av.j[i].clone();
+  av.j[i].add(Δ);
+  clampToParent(i, av);
+  const realΔ = av.j[i].clone().sub(oldPos);
+  propagateDescendants(i, realΔ, av);
+}
+
+/* ---------- chain IK (FABRIK) with joint limits ----------------------- */
+export const IK_ITERS = 12;
+export const IK_TOL   = 1e-4;
+
+// incoming bone direction at joint m (zero at the root); the spine is
+// measured from mid-hips
+export function incomingDir(av, m){
+  if (PARENT[m] < 0) return new V3();
+  const from = m === 3 ? av.j[HIP_IDX].clone().add(av.j[11]).mul(0.5) : av.j[PARENT[m]];
+  return av.j[m].clone().sub(from);
+}
+
+// unit hinge axis of joint m in this pose, or null for cone joints
+export function hingeAxis(av, m){
+  const h = JOINT_LIMITS[m] && JOINT_LIMITS[m].hinge;
+  return h ? av.j[h[1]].clone().sub(av.j[h[0]]).norm() : null;
+}
+
+// clamp the outgoing unit direction d at joint m against JOINT_LIMITS[m]
+export function limitBend(m, inDir, d, axis){
+  const lim = JOINT_LIMITS[m];
+  if (!lim || inDir.len() < 1e-9) return d;
+  const a = inDir.clone().norm();
+  const n = axis ? axis.cross(a) : new V3();
+  if (n.len() > HINGE_MIN_SIN){                // no bending the wrong way
+    const s = d.dot(n.norm());
+    if (s > 0) d = d.clone().sub(n.mul(2*s)).norm();
+  }
+  const max = lim.maxBend*Math.PI/180;
+  if (Math.acos(Math.max(-1, Math.min(1, a.dot(d)))) <= max) return d;
+  let perp = d.clone().sub(a.clone().mul(a.dot(d)));
+  if (perp.len() < 1e-9) perp = a.cross(Math.abs(a.x) < 0.9 ? new V3(1,0,0) : new V3(0,1,0));
+  return a.clone().mul(Math.cos(max)).add(perp.norm().mul(Math.sin(max)));
+}
+
+// FABRIK: move the chain so its last joint reaches target, root fixed;
+// a pinned joint inside the chain becomes the new root
+export function solveChain(av, chain, target){
+  const last = chain.reduce((k, j, n) => av.pinned.has(j) ? n : k, 0);
+  const c = chain.slice(last);
+  if (c.length < 2) return;
+  const pts = c.map(j => av.j[j].clone()), L = c.map(j => av.len[j]);
+  const root = pts[0].clone(), n = c.length;
+
+  // direction of bone k (into c[k]), limited at c[k-1]
+  const forward = () => {
+    pts[0] = root.clone();
+    for (let k = 1; k < n; k++){
+      const prev = k === 1 ? incomingDir(av, c[0]) : pts[k-1].clone().sub(pts[k-2]);
+      let d = pts[k].clone().sub(pts[k-1]);
+      d = d.len() < 1e-9 ? prev.clone().norm() : d.norm();
+      pts[k] = pts[k-1].clone().add(limitBend(c[k-1], prev, d, hingeAxis(av, c[k-1])).mul(L[k]));
+    }
+  };
+
+  if (target.clone().sub(root).len() >= L.slice(1).reduce((a, b) => a + b, 0)){
+    pts.forEach((p, k) => { if (k) pts[k] = target.clone(); });   // reach straight out
+    forward();
+  } else {
+    for (let it = 0; it < IK_ITERS; it++){
+      pts[n-1] = target.clone();
+      for (let k = n-2; k >= 0; k--){
+        const d = pts[k].clone().sub(pts[k+1]);
+        pts[k] = pts[k+1].clone().add(d.len() < 1e-9 ? d : d.norm().mul(L[k+1]));
+      }
+      forward();
+      if (pts[n-1].clone().sub(target).len() < IK_TOL) break;
+    }
+  }
+  c.forEach((j, k) => { if (k) av.j[j] = pts[k]; });
+  restoreBones(av);
+}
+
+/* ---------- pins & limb rotation -------------------------------------- */
+export const PIN_ITERS  = 64;
+export const PIN_TOL    = 1e-10;   // bone length error that counts as a pin being met
+const PIN_BISECT        = 12;      // halvings when a move has to be cut short
+export const LIMB_ROOTS = [HIP_IDX, 3, SHOULDER_L_IDX, SHOULDER_R_IDX, 11];   // hips, core, shoulders
+
+// worst |bone length - rest length| over the skeleton
+export function boneStretch(av){
+  return Math.max(...av.j.map((p,i)=>
+    PARENT[i]<0 ? 0 : Math.abs(p.clone().sub(av.j[PARENT[i]]).len()-av.len[i])));
+}
+
+// pinned joints stay put: pull their parents back to bone length, re-hang the rest;
+// bones into a pin that is out of reach stay stretched (see withinPins)
+export function satisfyPins(av){
+  if(!av.pinned.size) return;
+  for(let it=0; it<PIN_ITERS && boneStretch(av)>PIN_TOL; it++){
+    av.pinned.forEach(c=>{
+      const p=PARENT[c];
+      if(p<0 || PARENT[p]<0 || av.pinned.has(p)) return;
+      const dir=av.j[p].clone().sub(av.j[c]), d=dir.len();
+      if(d>1e-6) av.j[p]=av.j[c].clone().add(dir.mul(av.len[c]/d));
+    });
+    restoreBones(av);
+  }
+}
+
+// run move(f) then satisfyPins for the largest f in [0,1] that leaves every
+// bone at rest length, so a pin out of reach stops the drag instead of stretching
+function withinPins(av, move){
+  const start=av.j.map(p=>p.clone());
+  const attempt=f=>{
+    start.forEach((p,k)=>{ av.j[k]=p.clone(); });
+    move(f);
+    satisfyPins(av);
+    return !av.pinned.size || boneStretch(av)<=PIN_TOL;
+  };
+  if(attempt(1)) return;
+  let lo=0, hi=1;
+  for(let k=0; k<PIN_BISECT; k++){ const m=(lo+hi)/2; if(attempt(m)) lo=m; else hi=m; }
+  attempt(lo);
+}
+
+function subtree(i){
+  const out=[i];
+  for(let k=0;k<out.length;k++) PARENT.forEach((p,c)=>{ if(p===out[k]) out.push(c); });
+  return out;
+}
+
+// Rodrigues rotation of point v about the axis (unit k) through o
+function rotateAbout(v,o,k,ang){
+  const r=v.clone().sub(o), c=Math.cos(ang), s=Math.sin(ang);
+  return o.clone().add(r.clone().mul(c)).add(k.cross(r).mul(s)).add(k.clone().mul(k.dot(r)*(1-c)));
+}
+
+// rigidly swing the limb holding joint i about its root so i follows Δ;
+// false when i has no limb root above it (the hip)
+export function rotateLimb(i, Δ, av){
+  let pivot=PARENT[i];
+  while(pivot>=0 && !LIMB_ROOTS.includes(pivot)) pivot=PARENT[pivot];
+  if(pivot<0) return false;
+  let top=i;
+  while(PARENT[top]!==pivot) top=PARENT[top];
+  const o=av.j[pivot].clone(), a=av.j[i].clone().sub(o), b=a.clone().add(Δ);
+  const axis=a.cross(b), sin=axis.len();
+  if(sin<1e-9) return true;
+  const ang=Math.atan2(sin, a.dot(b));
+  axis.mul(1/sin);
+  const limb=subtree(top).filter(j=>!av.pinned.has(j));
+  withinPins(av, f=>limb.forEach(j=>{ av.j[j]=rotateAbout(av.j[j],o,axis,ang*f); }));
+  return true;
+}
+
+/* ---------- capsule collision solver ---------------------------------- */
+// one capsule per BONES entry (same order); radii in library units
+export const BONE_RADIUS = [
+  0.045,0.06,0.09,      // left shin, thigh, hip-core
+  0.07,0.045,0.035,     // left shoulder, upper arm, forearm
+  0.07,                 // neck / head
+  0.07,0.045,0.035,     // right shoulder, upper arm, forearm
+  0.08,0.06,0.045       // hips, right thigh, shin
+];
+export const FLOOR_Y = 0;
+export const COLLISION_ITERS = 32;     // pass cap; stops earlier once resolved
+export const COLLISION_TOL   = 1e-3;   // overlap beyond slack that counts as resolved
+
+// joints ordered parent-before-child, for restoring bone lengths top-down
+export const JOINT_ORDER = PARENT.map((_,i)=>i).sort((a,b)=>{
+  const depth=i=>PARENT[i]<0 ? 0 : 1+depth(PARENT[i]);
+  return depth(a)-depth(b);
+});
+
+// self pairs skip bones that touch or are one joint apart (hip, shoulders)
+const SELF_PAIRS = (()=>{
+  const near=(a,b)=>a.some(p=>b.some(q=>p===q || PARENT[p]===q || PARENT[q]===p));
+  const out=[];
+  for(let i=0;i<BONES.length;i++)
+    for(let k=i+1;k<BONES.length;k++)
+      if(!near(BONES[i],BONES[k])) out.push([i,k]);
+  return out;
+})();
+
+// closest points of segments p1q1 / p2q2 (Ericson, RTCD §5.1.9)
+export function closestOnSegments(p1,q1,p2,q2){
+  const d1=q1.clone().sub(p1), d2=q2.clone().sub(p2), r=p1.clone().sub(p2);
+  const a=d1.dot(d1), e=d2.dot(d2), f=d2.dot(r), c=d1.dot(r), b=d1.dot(d2);
+  const clamp01=x=>Math.min(1,Math.max(0,x));
+  let s=0, t=0;
+  if(a<1e-12 && e<1e-12){ s=t=0; }
+  else if(a<1e-12){ t=clamp01(f/e); }
+  else if(e<1e-12){ s=clamp01(-c/a); }
+  else {
+    const den=a*e-b*b;
+    s=den>1e-12 ? clamp01((b*f-c*e)/den) : 0;
+    t=(b*s+f)/e;
+    if(t<0){ t=0; s=clamp01(-c/a); }
+    else if(t>1){ t=1; s=clamp01((b-c)/a); }
+  }
+  const c1=p1.clone().add(d1.mul(s)), c2=p2.clone().add(d2.mul(t));
+  return {s, t, c1, c2};
+}
+
+// penetration of bone i of av a with bone k of av b (+ normal pointing at a)
+export function capsuleContact(a,i,b,k){
+  const [p1,q1]=BONES[i], [p2,q2]=BONES[k];
+  const c=closestOnSegments(a.j[p1],a.j[q1],b.j[p2],b.j[q2]);
+  const n=c.c1.clone().sub(c.c2), d=n.len();
+  return { s:c.s, t:c.t, depth:BONE_RADIUS[i]+BONE_RADIUS[k]-d,
+           n: d>1e-9 ? n.mul(1/d) : new V3(0,1,0) };
+}
+
+// every capsule pair the solver watches, as [avA, boneA, avB, boneB]
+export const COLLISION_PAIRS = [
+  ...BONES.flatMap((_,i)=>BONES.map((_,k)=>[0,i,1,k])),
+  ...SELF_PAIRS.map(([i,k])=>[0,i,0,k]),
+  ...SELF_PAIRS.map(([i,k])=>[1,i,1,k])
+];
+// overlap present when a pose was loaded is tolerated; drags may only reduce it.
+// The caller keeps the per-pair slack and hands it to resolveCollisions.
+export function contactSlack(avatars){
+  return Float64Array.from(COLLISION_PAIRS, ([a,i,b,k])=>
+    Math.max(0, capsuleContact(avatars[a],i,avatars[b],k).depth));
+}
+
+// push bone i of av so its contact point (param s) moves by Δ; the root stays
+function pushBone(av, i, s, Δ){
+  const w=BONES[i].map((j,e)=>PARENT[j]<0 || av.pinned.has(j) ? 0 : (e ? s : 1-s));
+  const w2=w[0]*w[0]+w[1]*w[1];
+  if(w2<1e-9) return;
+  BONES[i].forEach((j,e)=>av.j[j].add(Δ.clone().mul(w[e]/w2)));
+}
+
+// re-hang every joint from its parent; with a floor, joints that would end up
+// below it swing about their parent onto the floor instead
+export function restoreBones(av, floor=-Infinity){
+  JOINT_ORDER.forEach(i=>{
+    clampToParent(i,av);
+    const p=PARENT[i], q=av.j[i];
+    if(p<0 || av.pinned.has(i) || q.y>=floor) return;
+    const P=av.j[p], h=P.y-floor, L=av.len[i];
+    if(h<0 || h>L) return;
+    const out=new V3(q.x-P.x, 0, q.z-P.z);
+    if(out.len()<1e-9) out.x=1;
+    av.j[i]=new V3(P.x, floor, P.z).add(out.norm().mul(Math.sqrt(L*L-h*h)));
+  });
+}
+
+// true while avatars[a] dips below the floor or overlaps anything by more
+// than COLLISION_TOL beyond its slack
+function unresolved(avatars, slack, a){
+  if(Math.min(...avatars[a].j.map(p=>p.y))<FLOOR_Y) return true;
+  return COLLISION_PAIRS.some(([pa,i,pb,k],n)=>(pa===a || pb===a) &&
+    capsuleContact(avatars[pa],i,avatars[pb],k).depth-slack[n]>COLLISION_TOL);
+}
+
+// resolve penetrations caused by dragging joint `dragged` of avatars[a];
+// slack (from contactSlack) is tightened in place. Passes stop once resolved.
+// A limb wedged between contacts, floor and bone lengths can settle short of
+// that; given `before` (av.j ahead of the drag step) the step is then undone,
+// so a drag stops at the obstacle rather than sinking into it.
+export function resolveCollisions(avatars, slack, a, dragged, before=null){
+  const av=avatars[a], rigid=PARENT[dragged]<0;   // root drag moves the whole body
+  for(let it=0; it<COLLISION_ITERS && unresolved(avatars, slack, a); it++){
+    COLLISION_PAIRS.forEach(([pa,i,pb,k],n)=>{
+      if(pa!==a && pb!==a) return;
+      const c=capsuleContact(avatars[pa],i,avatars[pb],k);
+      const excess=c.depth-slack[n];
+      if(excess<=1e-6) return;
+      if(pa!==pb){                            // the other figure is an obstacle
+        const sign=pa===a ? 1 : -1, Δ=c.n.clone().mul(sign*excess);
+        if(rigid) av.j.forEach(p=>p.add(Δ));
+        else pushBone(av, pa===a ? i : k, pa===a ? c.s : c.t, Δ);
+      } else if(!rigid){
+        pushBone(av, i, c.s, c.n.clone().mul( excess/2));
+        pushBone(av, k, c.t, c.n.clone().mul(-excess/2));
+      }
+    });
+    const low=Math.min(...av.j.map(p=>p.y));
+    if(low<FLOOR_Y){
+      if(rigid) av.j.forEach(p=>{ p.y+=FLOOR_Y-low; });
+      else av.j.forEach((p,j)=>{ if(p.y<FLOOR_Y && !av.pinned.has(j)) p.y=FLOOR_Y; });
+    }
+    if(!rigid) restoreBones(av, FLOOR_Y);
+  }
+  if(before && unresolved(avatars, slack, a)) before.forEach((p,k)=>{ av.j[k]=p.clone(); });
+  COLLISION_PAIRS.forEach(([pa,i,pb,k],n)=>{
+    const d=capsuleContact(avatars[pa],i,avatars[pb],k).depth;
+    slack[n]=Math.min(slack[n], Math.max(0,d));
+  });
+}
+
+/* ---------- Gauss linking & writhe over the real bones ---------------- */
+// limb groups, as indices into BONES
+export const LIMBS = {
+  'left leg':[0,1], 'torso':[2,10], 'left arm':[3,4,5],
+  'neck':[6], 'right arm':[7,8,9], 'right leg':[11,12]
+};
+
+// exact Gauss integral of two straight segments: signed solid angle / 4π
+export function segmentLink(a1,a2,b1,b2){
+  const r13=b1.clone().sub(a1), r14=b2.clone().sub(a1),
+        r23=b1.clone().sub(a2), r24=b2.clone().sub(a2);
+  const n=[r13.cross(r14), r14.cross(r24), r24.cross(r23), r23.cross(r13)];
+  if(n.some(v=>v.len()<1e-12)) return 0;     // coplanar or touching
+  n.forEach(v=>v.norm());
+  const as=x=>Math.asin(Math.max(-1,Math.min(1,x)));
+  const omega=as(n[0].dot(n[1]))+as(n[1].dot(n[2]))+as(n[2].dot(n[3]))+as(n[3].dot(n[0]));
+  const sign=Math.sign(b2.clone().sub(b1).cross(a2.clone().sub(a1)).dot(r13));
+  return sign*omega/(4*Math.PI);
+}
+
+const boneLink=(a,i,b,k)=>{
+  const [p,q]=BONES[i], [r,s]=BONES[k];
+  return segmentLink(a.j[p],a.j[q],b.j[r],b.j[s]);
+};
+
+// total linking of a vs b plus the per-limb-pair breakdown
+export function gaussLinking(a,b){
+  const limbs=[];
+  let total=0;
+  for(const [la,ia] of Object.entries(LIMBS)){
+    for(const [lb,ib] of Object.entries(LIMBS)){
+      let lk=0;
+      ia.forEach(i=>ib.forEach(k=>{ lk+=boneLink(a,i,b,k); }));
+      limbs.push({a:la,b:lb,lk});
+      total+=lk;
+    }
+  }
+  return {total, limbs};
+}
+
+// writhe of one skeleton: self-linking of all bone pairs not sharing a joint
+export function writhe(av){
+  let wr=0;
+  for(let i=0;i<BONES.length;i++){
+    for(let k=i+1;k<BONES.length;k++){
+      if(BONES[i].some(j=>BONES[k].includes(j))) continue;
+      wr+=2*boneLink(av,i,av,k);
+    }
+  }
+  return wr;
+}
+
+/* ---------- topology coordinates ------------------------------------- */
+// The library's `features` are [planar link, centroid distance] of two
+// 6-point chains: feet, knees, core, shoulders, hands, head (pairs averaged).
+export const CHAIN = [[0,13],[1,12],[3],[SHOULDER_L_IDX,SHOULDER_R_IDX],[6,8],[HEAD_IDX]];
+
+export function planarLink(A,B){
+  // quick 2-D signed crossing count (XY) of two polylines
+  const segs=a=>a.slice(0,-1).map((p,i)=>[p,a[i+1]]);
+  const o=(a,b,c)=> (b.x-a.x)*(c.y-a.y)-(b.y-a.y)*(c.x-a.x);
+  let c=0; segs(A).forEach(as=>{
+    segs(B).forEach(bs=>{
+      const [a1,a2]=as,[b1,b2]=bs;
+      if(o(a1,a2,b1)*o(a1,a2,b2)<0 && o(b1,b2,a1)*o(b1,b2,a2)<0)
+        c+=o(a1,a2,b1)>0?1:-1;
+    });
+  });
+  return c/2;
+}
+
+export const centroid=pts=>pts.reduce((s,p)=>s.add(p),new V3()).mul(1/pts.length);
+export const chainOf=av=>CHAIN.map(ids=>centroid(ids.map(i=>av.j[i])));
+
+export function topologyFeatures(a,b){
+  const A=chainOf(a), B=chainOf(b);
+  return [planarLink(A,B), centroid(A).sub(centroid(B)).len()];
+}
+
+/* ---------- bone-preserving interpolation ---------------------------- */
+// rotate u of the way from unit vector a to unit vector b
+export function slerp(a,b,u){
+  const w=Math.acos(Math.max(-1,Math.min(1,a.dot(b))));
+  if(w<1e-6) return a.clone();
+  if(Math.PI-w<1e-6){                         // opposite: turn about any normal
+    const n=a.cross(Math.abs(a.x)<0.9 ? new V3(1,0,0) : new V3(0,1,0)).norm();
+    return a.clone().mul(Math.cos(u*Math.PI)).add(n.cross(a).mul(Math.sin(u*Math.PI)));
+  }
+  const sw=Math.sin(w);
+  return a.clone().mul(Math.sin((1-u)*w)/sw).add(b.clone().mul(Math.sin(u*w)/sw));
+}
+
+// skeleton between A and B: root lerps, every bone swings about its parent
+export function interpolateSkeleton(A,B,u){
+  const out=[];
+  JOINT_ORDER.forEach(i=>{
+    const p=PARENT[i], a=new V3(A[i].x,A[i].y,A[i].z), b=new V3(B[i].x,B[i].y,B[i].z);
+    if(p<0){ out[i]=a.mul(1-u).add(b.mul(u)); return; }
+    const da=a.sub(A[p]), db=b.sub(B[p]), la=da.len(), lb=db.len();
+    out[i]=out[p].clone().add(slerp(da.norm(),db.norm(),u).mul(la+(lb-la)*u));
+  });
+  return out;
+}
+
+/* ---------- library records (grapple_states.json schema) ------------- */
+export const plainPoint=p=>({x:p.x, y:p.y, z:p.z});
+
+export function poseRecord(name, a, b){
+  return {
+    name,
+    chain1:chainOf(a).map(plainPoint), chain2:chainOf(b).map(plainPoint),
+    skeleton1:a.j.map(plainPoint),     skeleton2:b.j.map(plainPoint),
+    features:topologyFeatures(a,b)
+  };
+}
+
+export function isPoseRecord(r){
+  const skel=k=>Array.isArray(r[k]) && r[k].length===PARENT.length &&
+    r[k].every(p=>p && ['x','y','z'].every(c=>Number.isFinite(p[c])));
+  return !!r && typeof r.name==='string' && r.name.trim()!=='' && skel('skeleton1') && skel('skeleton2');
+}
+
+/* ---------- batch metrics --------------------------------------------- */
+const dist=(p,q)=>Math.hypot(p.x-q.x, p.y-q.y, p.z-q.z);
+
+// bone lengths of a raw skeleton, indexed like BONES
+export function boneLengths(skel){
+  return BONES.map(([a,b])=>dist(skel[a],skel[b]));
+}
+
+// per-joint displacement between two records (red joints first, then blue)
+export function poseDiff(A,B){
+  const joints=[
+    ...A.skeleton1.map((p,i)=>dist(p,B.skeleton1[i])),
+    ...A.skeleton2.map((p,i)=>dist(p,B.skeleton2[i]))
+  ];
+  return {
+    joints,
+    rms:Math.sqrt(joints.reduce((s,d)=>s+d*d,0)/joints.length),
+    max:Math.max(...joints)
+  };
+}
+
+// topology metrics of one record; featureError compares against its stored features
+export function analyzeState(s){
+  const a=makeAvatar(s.skeleton1), b=makeAvatar(s.skeleton2);
+  const features=topologyFeatures(a,b);
+  return {
+    link:gaussLinking(a,b).total,
+    writhe:[writhe(a), writhe(b)],
+    features,
+    featureError:s.features ? Math.hypot(features[0]-s.features[0], features[1]-s.features[1]) : null
+  };
+}
@@ -1,152 +1,41 @@
 /* -----------------------------------------------------------
  * 3-D GrappleMap demo – super-compact version with
  *  • 14-joint avatar  (foot-knee-hip-shoulder-hand + head)
- *  • minimal sphere-constraint IK
- *  • camera orbit / zoom
+ *  • FABRIK limb IK with joint limits, pins, limb rotation
+ *  • capsule collision solver (red/blue, self, floor)
+ *  • camera orbit / pan / zoom and preset views – mouse, touch, keyboard
+ *  • undo / redo, multi-joint selection
  *  • search-able pose list (from states.js)
+ *  • animated transitions / looping state sequences
+ *  • position graph with neighbour / shortest-path navigation
+ *  • live nearest-state lookup in topology coordinates
+ *  • Gauss linking / writhe over the real bones
+ *  • PNG snapshot / orbit video export
+ * The DOM-free pose math lives in pose.js.
  * --------------------------------------------------------- */
 
-class V3 {
-  constructor(x=0,y=0,z=0){ this.x=x; this.y=y; this.z=z; }
-  clone(){ return new V3(this.x,this.y,this.z); }
-  add(v){ this.x+=v.x; this.y+=v.y; this.z+=v.z; return this; }
-  sub(v){ this.x-=v.x; this.y-=v.y; this.z-=v.z; return this; }
-  mul(s){ this.x*=s; this.y*=s; this.z*=s; return this; }
-  len(){ return Math.hypot(this.x,this.y,this.z); }
-  norm(){ const l=this.len(); return l?this.mul(1/l):this; }
-  dot(v){ return this.x*v.x+this.y*v.y+this.z*v.z; }
-  cross(v){return new V3(this.y*v.z-this.z*v.y,this.z*v.x-this.x*v.z,this.x*v.y-this.y*v.x);}
-}
-const PARENT = [
-  1,   // 0: leftFoot  ← leftKnee
-  2,   // 1: leftKnee  ← leftHip
- -1,   // 2: leftHip   ← (root)
-  2,   // 3: core      ← leftHip
-  3,   // 4: leftShoulder ← core
-  4,   // 5: leftElbow   ← leftShoulder
-  5,   // 6: leftHand    ← leftElbow
-  3,   // 7: head        ← core
-  9,   // 8: rightHand   ← rightElbow
- 10,   // 9: rightElbow  ← rightShoulder
-  3,   //10: rightShoulder ← core
-  2,   //11: rightHip    ← leftHip (root)
- 11,   //12: rightKnee   ← rightHip
- 12    //13: rightFoot   ← rightKnee
-];
-const HEAD_IDX       = 7;
-const HIP_IDX        = 2;
-const SHOULDER_L_IDX = 4;
-const SHOULDER_R_IDX = 10;
-
-/* ---------- tiny skeleton/IK helpers ---------------------------------- */
-const COLOR  = ['#e74c3c','#3498db'];                                      // red / blue
-const BONES = [
-  [0,1],[1,2],[2,3],    // left leg & hip-core
-  [3,4],[4,5],[5,6],    // left arm
-  [3,7],                // neck
-  [3,10],[10,9],[9,8],  // right arm
-  [2,11],[11,12],[12,13]// right leg
-];
-
-function propagateDescendants(i, Δ, av){
-  av.j.forEach((p, idx)=>{
-    if (PARENT[idx] === i){
-      const old = p.clone();
-      p.add(Δ);
-      clampToParent(idx, av);
-      const realΔ = p.clone().sub(old);
-      propagateDescendants(idx, realΔ, av);
-    }
-  });
-}
-function clampRadialDelta(i, Δ, av){
-  const maxW = av.shoulderWidth;
-  const partners = (i === HEAD_IDX)
-    ? [SHOULDER_L_IDX, SHOULDER_R_IDX]
-    : [HEAD_IDX];
-  let d = Δ.clone();
-  for (const j of partners){
-    const v = av.j[i].clone().sub(av.j[j]);
-    const L = v.len();
-    if (L < 1e-6) continue;
-    const u = v.mul(1/L);                   // unit from j→i
-    const rad = u.dot(d);                   // how much Δ pushes out
-    if (rad <= 0) continue;                 // inward or tangent ok
-    const allowed = maxW - L;
-    if (L + rad > maxW){
-      const remove = rad - allowed;
-      d = d.sub(u.mul(remove));             // strip excess radial
-    }
-  }
-  return d;
-}
-function clampNeckShoulder(i, av){
-  const W = av.shoulderWidth,
-        h = av.j[HEAD_IDX],
-        sL = av.j[SHOULDER_L_IDX],
-        sR = av.j[SHOULDER_R_IDX];
-
-  const clampPoint = (a, bIdx)=>{            // pull a toward b if too far
-    const b = av.j[bIdx], dir = a.clone().sub(b), d = dir.len();
-    if (d > W){
-      const newPos = b.clone().add(dir.mul(W/d)),
-            Δ = newPos.clone().sub(a);
-      av.j[bIdx === HEAD_IDX ? HEAD_IDX : i] = newPos;
-      propagateDescendants(bIdx === HEAD_IDX ? HEAD_IDX : i, Δ, av);
-      clampToParent(bIdx === HEAD_IDX ? HEAD_IDX : i, av);
-    }
-  };
-
-  if (i === HEAD_IDX){ clampPoint(h, SHOULDER_L_IDX); clampPoint(h, SHOULDER_R_IDX); }
-  else if (i === SHOULDER_L_IDX || i === SHOULDER_R_IDX){ clampPoint(h, i); }
-}
-
-function makeAvatar(skel){
-  const j  = skel.map(p => new V3(p.x,p.y,p.z));
-  const len= j.map((_,i)=>PARENT[i]<0 ? 0 : j[i].clone().sub(j[PARENT[i]]).len());
-  const shoulderWidth = j[SHOULDER_L_IDX].clone().sub(j[SHOULDER_R_IDX]).len();
-  return { j, len, shoulderWidth };
-}
-
-function clampToParent(i,av){
-  const p=PARENT[i]; if(p<0) return;
-  const dir = av.j[i].clone().sub(av.j[p]);
-  const L   = av.len[i]||0;
-  if(!L) return;
-  av.j[i] = dir.len()<1e-6 ? av.j[p].clone().add(new V3(L,0,0))
-                           : av.j[p].clone().add(dir.norm().mul(L));
-}
-
-function moveJoint(i, Δ, av){
-  // prevent radial stretch on head/shoulder
-  if ([HEAD_IDX, SHOULDER_L_IDX, SHOULDER_R_IDX].includes(i)){
-    Δ = clampRadialDelta(i, Δ, av);
-  }
-
-  if (PARENT[i] < 0){
-    av.j.forEach((p, idx)=>{ if (idx !== i) p.add(Δ); });
-    av.j[i].add(Δ);
-    return;
-  }
-
-  const oldPos = av.j[i].clone();
-  av.j[i].add(Δ);
-  clampToParent(i, av);
-  const realΔ = av.j[i].clone().sub(oldPos);
-  propagateDescendants(i, realΔ, av);
-}
+import {
+  V3, PARENT, HEAD_IDX, SHOULDER_L_IDX, SHOULDER_R_IDX, BONES, makeAvatar,
+  moveJoint, rotateLimb, contactSlack, resolveCollisions, gaussLinking, writhe,
+  centroid, topologyFeatures, interpolateSkeleton, poseRecord, isPoseRecord
+} from './pose.js';
 
 /* ---------- state & UI ------------------------------------------------ */
+const COLOR  = ['#e74c3c','#3498db'];                                      // red / blue
 const canvas=document.getElementById('canvas'), ctx=canvas.getContext('2d');
 let W=canvas.width=innerWidth, H=canvas.height=innerHeight;
 addEventListener('resize',()=>{W=canvas.width=innerWidth;H=canvas.height=innerHeight;});
 
+const BACKGROUND='#111';                                                   // as body, so exports match
+const RADIUS_MIN=1.5, RADIUS_MAX=20;
+
 let radius=8, theta=Math.PI/4, phi=Math.PI/6;
+const target=new V3();                  // orbit centre, moved by panning
 const basis=()=>{                       // camera basis
   const sp=Math.sin(phi),   cp=Math.cos(phi),
         st=Math.sin(theta), ct=Math.cos(theta);
-  const pos=new V3(radius*cp*st, radius*sp, radius*cp*ct);
-  const fwd=pos.clone().mul(-1).norm(),  up=new V3(0,1,0);
+  const off=new V3(radius*cp*st, radius*sp, radius*cp*ct), pos=off.clone().add(target);
+  const fwd=off.mul(-1).norm(),          up=new V3(0,1,0);
   const right=fwd.cross(up).norm(),      up2=right.clone().cross(fwd).norm();
   return {pos,fwd,right,up:up2};
 };
@@ -159,6 +48,304 @@ function project(p,b){
   return {x:s*x/z+W/2,y:-s*y/z+H/2,z};
 }
 
+/* ---------- live avatars ---------------------------------------------- */
+const AV=[null,null];                        // red, blue
+let currentState=-1;                         // library index last loaded
+let collisionSlack=null;                     // per capsule pair, see contactSlack()
+
+function resetCollisionSlack(){ collisionSlack=contactSlack(AV); }
+
+/* ---------- undo / redo ----------------------------------------------- */
+const HISTORY_LIMIT = 100;
+const edits={ undo:[], redo:[] };             // pose snapshots
+
+const cloneAvatar=av=>({ j:av.j.map(p=>p.clone()), len:av.len.slice(),
+                         shoulderWidth:av.shoulderWidth, pinned:new Set(av.pinned) });
+const snapshot=()=>({ av:AV.map(cloneAvatar), state:currentState });
+
+// record the pose about to change (joint edit, state load, reset)
+function pushHistory(snap=snapshot()){
+  edits.undo.push(snap);
+  if(edits.undo.length>HISTORY_LIMIT) edits.undo.shift();
+  edits.redo=[];
+}
+
+function restoreSnapshot(snap){
+  setPlaying(false);
+  AV[0]=snap.av[0]; AV[1]=snap.av[1];
+  currentState=snap.state;
+  picked=[];
+  resetCollisionSlack();
+}
+
+function undo(){
+  if(!edits.undo.length) return;
+  edits.redo.push(snapshot());
+  restoreSnapshot(edits.undo.pop());
+}
+
+function redo(){
+  if(!edits.redo.length) return;
+  edits.undo.push(snapshot());
+  restoreSnapshot(edits.redo.pop());
+}
+let selected={idx:-1,av:-1},  dragging=false,x0=0,y0=0;
+
+/* ---------- pose library search -------------------------------------- */
+// position tags parsed out of pose names
+const TAGS = {
+  'side control':   /side c(on)?tr(o)?l|judo side/,
+  'mount':          /\bmount/,
+  'back':           /\bback\b|rnc|seatbelt/,
+  'guard':          /guard/,
+  'closed guard':   /closed guard|full guard/,
+  'half guard':     /half|¼/,
+  'butterfly':      /butterfly/,
+  'turtle':         /turtle/,
+  'north-south':    /north\W*south/,
+  'knee on belly':  /knee on belly/,
+  'standing':       /standing/,
+  'seated':         /seated/,
+  'crossface':      /crossface/,
+  'underhook':      /underhook|\bunders\b|over\/under/,
+  'overhook':       /overhook|whizzer/,
+  'takedown':       /single.leg|double leg|sprawl/,
+  'submission':     /kimura|omoplata|guillotine|rnc|armbar|tricep|darce|triangle|choke/,
+  'sweep':          /sweep/,
+  'pass':           /pass/
+};
+const ROW_H = 18;                             // px per row of the state list
+
+let listRows=[];                              // STATES indices after filter + sort
+let listChoice=-1;                            // highlighted row (sequence / path target)
+const activeTags=new Set();
+const searchInfo=new WeakMap();               // state -> {text, words, tags}
+
+// names carry literal "\n" sequences as line breaks
+function stateName(s){ return s.name.replace(/\\n|\n/g,' / '); }
+
+function infoOf(s){
+  let info=searchInfo.get(s);
+  if(!info){
+    const text=s.name.replace(/\\n|\n/g,' ').toLowerCase();
+    info={ text, words:text.split(/[^\wñ¼½&-]+/).filter(Boolean),
+           tags:Object.keys(TAGS).filter(t=>TAGS[t].test(text)) };
+    searchInfo.set(s,info);
+  }
+  return info;
+}
+
+// optimal string alignment of a against the closest prefix of b: Levenshtein
+// plus adjacent swaps ("muont") at cost 1, and the rest of b is free ("mounted")
+function prefixDistance(a,b){
+  let prev=null, row=Array.from({length:b.length+1},(_,k)=>k);
+  for(let i=1;i<=a.length;i++){
+    const next=[i];
+    for(let k=1;k<=b.length;k++){
+      next[k]=Math.min(row[k]+1, next[k-1]+1, row[k-1]+(a[i-1]===b[k-1] ? 0 : 1));
+      if(prev && k>1 && a[i-1]===b[k-2] && a[i-2]===b[k-1]) next[k]=Math.min(next[k], prev[k-2]+1);
+    }
+    prev=row; row=next;
+  }
+  return Math.min(...row);
+}
+
+// typo cost of query tokens against a name: 0 = substring hit, null = no match
+function fuzzyCost(tokens, info){
+  let cost=0;
+  for(const t of tokens){
+    if(info.text.includes(t)) continue;
+    const allowed=t.length<=3 ? 0 : t.length<=6 ? 1 : 2;
+    const best=Math.min(...info.words.map(w=>prefixDistance(t, w.slice(0,t.length+allowed))));
+    if(best>allowed) return null;
+    cost+=best;
+  }
+  return cost;
+}
+
+const listSort=()=>document.getElementById('state-sort').value;
+function rangeOf(id){
+  const v=document.getElementById(id).value;
+  return v==='' ? null : +v;
+}
+
+function refreshStateList(){
+  const tokens=document.getElementById('state-search').value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const lo=[rangeOf('f0-min'),rangeOf('f1-min')], hi=[rangeOf('f0-max'),rangeOf('f1-max')];
+  const here=listSort()==='near' && AV[0] ? topologyFeatures(AV[0],AV[1]) : null;
+  const rows=[];
+  STATES.forEach((s,i)=>{
+    const info=infoOf(s);
+    if([...activeTags].some(t=>!info.tags.includes(t))) return;
+    const f=s.features;
+    if(lo.concat(hi).some(v=>v!==null) && !f) return;
+    if(f && [0,1].some(k=>(lo[k]!==null && f[k]<lo[k]) || (hi[k]!==null && f[k]>hi[k]))) return;
+    const cost=fuzzyCost(tokens,info);
+    if(cost===null) return;
+    const key=here ? (f ? Math.hypot(f[0]-here[0], f[1]-here[1]) : Infinity)
+                   : listSort()==='match' ? cost : 0;
+    rows.push({i,key});
+  });
+  rows.sort((a,b)=>a.key-b.key || a.i-b.i);
+  listRows=rows.map(r=>r.i);
+  document.getElementById('state-count').textContent=`${listRows.length} / ${STATES.length}`;
+  renderStateList();
+}
+
+// virtual list: only the rows in view exist in the DOM
+function renderStateList(){
+  const box=document.getElementById('state-list'), body=document.getElementById('state-list-body');
+  body.style.height=listRows.length*ROW_H+'px';
+  const first=Math.floor(box.scrollTop/ROW_H), n=Math.ceil(box.clientHeight/ROW_H)+1;
+  while(body.children.length<n){
+    const row=document.createElement('div');
+    row.className='state-row';
+    body.appendChild(row);
+  }
+  [...body.children].forEach((row,k)=>{
+    const idx=listRows[first+k];
+    row.style.display = idx===undefined ? 'none' : '';
+    if(idx===undefined) return;
+    row.style.top=(first+k)*ROW_H+'px';
+    row.dataset.idx=idx;
+    row.textContent=(idx>=libraryCount ? '★ ' : '')+stateName(STATES[idx]);
+    row.title=infoOf(STATES[idx]).tags.join(', ');
+    row.classList.toggle('chosen', idx===listChoice);
+  });
+}
+
+function chooseRow(idx, load){
+  listChoice=idx;
+  renderStateList();
+  if(load) selectState(idx);
+}
+
+function populateStateList(){
+  const tags=document.getElementById('tag-list');
+  tags.innerHTML='';
+  Object.keys(TAGS).forEach(t=>{
+    if(!STATES.some(s=>infoOf(s).tags.includes(t))) return;
+    const b=document.createElement('button');
+    b.type='button'; b.textContent=t; b.className='tag';
+    b.classList.toggle('on', activeTags.has(t));
+    b.onclick=()=>{
+      if(activeTags.has(t)) activeTags.delete(t); else activeTags.add(t);
+      b.classList.toggle('on', activeTags.has(t));
+      refreshStateList();
+    };
+    tags.appendChild(b);
+  });
+  refreshStateList();
+}
+
+(function bindStateList(){
+  const q=document.getElementById('state-search'), box=document.getElementById('state-list');
+  q.oninput=refreshStateList;
+  q.onkeydown=e=>{                            // arrows walk the list, Enter loads
+    const at=listRows.indexOf(listChoice);
+    if(e.key==='ArrowDown' || e.key==='ArrowUp'){
+      e.preventDefault();
+      const k=Math.max(0, Math.min(listRows.length-1, at+(e.key==='ArrowDown' ? 1 : -1)));
+      if(listRows[k]===undefined) return;
+      box.scrollTop=Math.min(box.scrollTop, k*ROW_H);
+      box.scrollTop=Math.max(box.scrollTop, (k+1)*ROW_H-box.clientHeight);
+      chooseRow(listRows[k], false);
+    }
+    else if(e.key==='Enter' && listChoice>=0) selectState(listChoice);
+  };
+  ['state-sort','f0-min','f0-max','f1-min','f1-max'].forEach(id=>{
+    document.getElementById(id).oninput=refreshStateList;
+  });
+  box.onscroll=renderStateList;
+  box.onclick=e=>{ if(e.target.dataset.idx!==undefined) chooseRow(+e.target.dataset.idx, true); };
+  addEventListener('resize',renderStateList);
+})();
+
+/* ---------- user poses: save / export / import ----------------------- */
+// stored and exported in the exact schema of grapple_states.json
+const USER_KEY = 'grapple-user-states';
+let libraryCount=0;                           // STATES past this index are user poses
+
+function loadUserStates(){
+  try {
+    const list=JSON.parse(localStorage.getItem(USER_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(isPoseRecord) : [];
+  } catch(err){
+    return [];
+  }
+}
+
+// false (and says so) when storage is full or disabled; STATES keeps the poses
+function storeUserStates(){
+  try {
+    localStorage.setItem(USER_KEY, JSON.stringify(STATES.slice(libraryCount)));
+    return true;
+  } catch(err){
+    userStatus(`Loaded for this session only – browser storage refused them (${err.name}). Export to keep them.`);
+    return false;
+  }
+}
+
+// add or replace (by name) user poses, then refresh everything that lists STATES;
+// returns whether they were persisted
+function mergeUserStates(records){
+  records.forEach(r=>{
+    const i=STATES.findIndex((s,n)=>n>=libraryCount && s.name===r.name);
+    if(i<0) STATES.push(r); else STATES[i]=r;
+  });
+  invalidateGraph();
+  const stored=storeUserStates();
+  populateStateList();
+  return stored;
+}
+
+function userStatus(msg){ document.getElementById('user-status').textContent=msg; }
+
+function saveCurrentPose(){
+  const name=document.getElementById('pose-name').value.trim();
+  if(!name) return userStatus('Enter a name first.');
+  if(!AV[0]) return;
+  const stored=mergeUserStates([poseRecord(name, AV[0], AV[1])]);
+  currentState=STATES.findIndex((s,n)=>n>=libraryCount && s.name===name);
+  listChoice=currentState;
+  renderStateList();
+  if(stored) userStatus(`Saved “${name}”.`);
+}
+
+function saveBlob(blob,name){
+  const url=URL.createObjectURL(blob), a=document.createElement('a');
+  a.href=url; a.download=name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function exportUserStates(){
+  saveBlob(new Blob([JSON.stringify(STATES.slice(libraryCount), null, 1)], {type:'application/json'}),
+           'grapple_user_states.json');
+}
+
+// derived fields are recomputed so imported chains/features always match
+async function importUserStates(file){
+  try {
+    const list=JSON.parse(await file.text());
+    if(!Array.isArray(list)) throw new Error('expected a JSON array of states');
+    const good=list.filter(isPoseRecord)
+                   .map(r=>poseRecord(r.name, makeAvatar(r.skeleton1), makeAvatar(r.skeleton2)));
+    if(good.length && !mergeUserStates(good)) return;   // storeUserStates already said why
+    userStatus(`Imported ${good.length} pose(s)`+(good.length<list.length ? `, skipped ${list.length-good.length}.` : '.'));
+  } catch(err){
+    userStatus(`Import failed: ${err.message}`);
+  }
+}
+
+(function bindUserPoses(){
+  const file=document.getElementById('pose-import-file');
+  document.getElementById('pose-save').onclick=saveCurrentPose;
+  document.getElementById('pose-export').onclick=exportUserStates;
+  document.getElementById('pose-import').onclick=()=>file.click();
+  file.onchange=()=>{ if(file.files[0]) importUserStates(file.files[0]); file.value=''; };
+})();
+
 /* ---------- load poses (from states.js or optional json) -------------- */
 let STATES=[];
 (async()=>{
@@ -167,71 +354,578 @@ let STATES=[];
     const res=await fetch('grapple_states.json');    // fallback local JSON
     STATES=await res.json();
   }
-  STATES=STATES.slice(0,500);                        // safety cap
-  populateDropdown();
+  libraryCount=STATES.length;
+  STATES.push(...loadUserStates());
+  populateStateList();
   applyState(0);
 })();
 
-function populateDropdown(){
-  const sel=document.getElementById('state-select'), q=document.getElementById('state-search');
-  const rebuild=()=>{
-    const f=(q.value||'').trim().toLowerCase();
-    sel.innerHTML='';
-    STATES.forEach((s,i)=>{
-      if(!f||s.name.toLowerCase().includes(f)){
-        const o=document.createElement('option');
-        o.value=i; o.textContent=s.name.replace(/\n/g,' / ');
-        sel.appendChild(o);
+/* skeleton from state (14 points already in file) -> avatar ------------ */
+function applyState(idx){
+  const s=STATES[idx];
+  if(AV[0]) pushHistory();
+  AV[0]=makeAvatar(s.skeleton1 || s.chain1 /*fallback*/);
+  AV[1]=makeAvatar(s.skeleton2 || s.chain2);
+  resetCollisionSlack();
+  currentState=idx;
+}
+
+/* ---------- animated transitions & sequences ------------------------- */
+const TRANSITION_SECONDS = 1.5;               // per key-to-key segment
+
+const poseOfState=s=>({ s1:s.skeleton1 || s.chain1, s2:s.skeleton2 || s.chain2 });
+const currentPose=()=>({ s1:AV[0].j.map(p=>p.clone()), s2:AV[1].j.map(p=>p.clone()) });
+
+const timeline={ keys:[], t:0, playing:false, last:0 };
+let sequence=[];                              // state indices to chain
+
+const animLoop=()=>document.getElementById('anim-loop').checked;
+const timelineSpan=()=>Math.max(0, timeline.keys.length-(animLoop() ? 0 : 1));
+
+function showTimeline(){
+  const span=timelineSpan(), k=timeline.keys.length;
+  if(!k) return;
+  const seg=Math.min(Math.floor(timeline.t), Math.max(0,span-1)), u=timeline.t-seg;
+  const A=timeline.keys[seg % k], B=timeline.keys[(seg+1) % k];
+  const e=span ? u*u*(3-2*u) : 0;             // smoothstep per segment
+  AV[0]=makeAvatar(interpolateSkeleton(A.s1,B.s1,e));
+  AV[1]=makeAvatar(interpolateSkeleton(A.s2,B.s2,e));
+  resetCollisionSlack();
+  document.getElementById('anim-scrub').value=span ? Math.round(1000*timeline.t/span) : 0;
+}
+
+function playTimeline(keys){
+  if(AV[0]) pushHistory();
+  timeline.keys=keys; timeline.t=0; setPlaying(true);
+  showTimeline();
+}
+
+// all play/pause goes through here so the button always shows the state
+function setPlaying(on){
+  timeline.playing=on;
+  if(on) timeline.last=performance.now();
+  document.getElementById('anim-play').textContent=on ? '❚❚' : '▶';
+}
+
+function stepTimeline(){
+  if(!timeline.playing) return;
+  const now=performance.now(), span=timelineSpan();
+  timeline.t+=(now-timeline.last)/1000/TRANSITION_SECONDS;
+  timeline.last=now;
+  if(timeline.t>=span){
+    if(animLoop() && span) timeline.t%=span;
+    else { timeline.t=span; setPlaying(false); }
+  }
+  showTimeline();
+}
+
+// dropdown pick: snap, or animate from the current pose when enabled
+function selectState(idx){
+  if(document.getElementById('anim-mode').checked && AV[0]){
+    playTimeline([currentPose(), poseOfState(STATES[idx])]);
+    currentState=idx;
+  }
+  else applyState(idx);
+}
+
+function renderSequence(){
+  const list=document.getElementById('sequence-list');
+  list.innerHTML='';
+  sequence.forEach((idx,n)=>{
+    const li=document.createElement('li');
+    li.textContent=stateName(STATES[idx]);
+    li.title='Remove from sequence';
+    li.onclick=()=>{ sequence.splice(n,1); renderSequence(); };
+    list.appendChild(li);
+  });
+}
+
+(function bindTimeline(){
+  const play=document.getElementById('anim-play'), scrub=document.getElementById('anim-scrub');
+  play.onclick=()=>{
+    if(!timeline.keys.length) return;
+    if(!timeline.playing && timeline.t>=timelineSpan()) timeline.t=0;
+    setPlaying(!timeline.playing);
+  };
+  scrub.oninput=()=>{
+    if(!timeline.keys.length) return;
+    setPlaying(false);
+    timeline.t=timelineSpan()*scrub.value/1000;
+    showTimeline();
+  };
+  document.getElementById('seq-add').onclick=()=>{
+    if(listChoice<0) return;
+    sequence.push(listChoice); renderSequence();
+  };
+  document.getElementById('seq-play').onclick=()=>{
+    if(sequence.length) playTimeline(sequence.map(i=>poseOfState(STATES[i])));
+  };
+  document.getElementById('seq-clear').onclick=()=>{ sequence=[]; renderSequence(); };
+})();
+
+/* ---------- position graph ------------------------------------------- */
+const GRAPH_K = 4;                            // nearest neighbours per state
+const FEATURE_WEIGHT = 0.5;                   // features vs skeleton distance
+const LAYOUT_ITERS = 300;
+const GRAPH_SLICE_MS = 8;                     // build work per frame, so the page stays live
+
+let graph=null;                               // {n, adj:[[{j,w}]], xy:[{x,y}], build}
+let graphBuilds=0;                            // bumped per build so the canvas never shows a stale one
+let graphJob=null;                            // rebuild in progress (generator), see stepGraphBuild
+const nav={ anchor:-1, pos:-1 };              // neighbour stepping
+let path=[], pathPos=0;
+
+// both skeletons as one point set centred on the pair, so mat position is ignored
+function centredPose(s){
+  const {s1,s2}=poseOfState(s), P=[...s1,...s2].map(p=>new V3(p.x,p.y,p.z));
+  const c=centroid(P);
+  return P.map(p=>p.sub(c));
+}
+
+// RMS joint distance plus weighted topology-feature distance
+function stateDistance(i,k,P){
+  let d=0;
+  P[i].forEach((p,n)=>{ const q=P[k][n], dx=p.x-q.x, dy=p.y-q.y, dz=p.z-q.z; d+=dx*dx+dy*dy+dz*dz; });
+  const fi=STATES[i].features, fk=STATES[k].features;
+  const fd=fi && fk ? Math.hypot(fi[0]-fk[0], fi[1]-fk[1]) : 0;
+  return Math.sqrt(d/P[i].length)+FEATURE_WEIGHT*fd;
+}
+
+// O(n²) overall, so it yields after every row and runs a slice per frame
+function* buildGraph(){
+  const n=STATES.length, P=STATES.map(centredPose), adj=STATES.map(()=>new Map());
+  for(let i=0;i<n;i++){
+    const d=[];
+    for(let k=0;k<n;k++) if(k!==i) d.push({k, w:stateDistance(i,k,P)});
+    d.sort((a,b)=>a.w-b.w).slice(0,GRAPH_K).forEach(({k,w})=>{ adj[i].set(k,w); adj[k].set(i,w); });
+    yield;
+  }
+  const edges=adj.map(m=>[...m].map(([j,w])=>({j,w})).sort((a,b)=>a.w-b.w));
+  graph={ n, adj:edges, xy:yield* layoutGraph(edges), build:++graphBuilds };
+}
+
+// Fruchterman–Reingold, seeded from the features so the picture is stable
+function* layoutGraph(adj){
+  const n=adj.length, k=Math.sqrt(1/Math.max(1,n));
+  const iters=Math.min(LAYOUT_ITERS, Math.ceil(6e7/(n*n||1)));   // O(n²) per pass
+  const xy=STATES.map((s,i)=>{
+    const f=s.features || [0,0.5];
+    return { x:f[0]+0.05*Math.sin(i*12.9898), y:f[1]+0.05*Math.cos(i*78.233) };
+  });
+  for(let it=0; it<iters; it++){
+    const t=0.05*(1-it/iters), disp=xy.map(()=>({x:0,y:0}));
+    for(let i=0;i<n;i++){
+      for(let j=i+1;j<n;j++){
+        const dx=xy[i].x-xy[j].x, dy=xy[i].y-xy[j].y, d2=Math.max(1e-6,dx*dx+dy*dy), f=k*k/d2;
+        disp[i].x+=dx*f; disp[i].y+=dy*f; disp[j].x-=dx*f; disp[j].y-=dy*f;
       }
+      yield;
+    }
+    adj.forEach((es,i)=>es.forEach(({j})=>{
+      if(j<i) return;
+      const dx=xy[i].x-xy[j].x, dy=xy[i].y-xy[j].y, f=Math.hypot(dx,dy)/k;
+      disp[i].x-=dx*f; disp[i].y-=dy*f; disp[j].x+=dx*f; disp[j].y+=dy*f;
+    }));
+    xy.forEach((p,i)=>{
+      const l=Math.hypot(disp[i].x,disp[i].y);
+      if(l>0){ const m=Math.min(l,t)/l; p.x+=disp[i].x*m; p.y+=disp[i].y*m; }
     });
+  }
+  return xy;
+}
+
+// Dijkstra over the (small) graph; [] when unreachable
+function shortestPath(from,to){
+  const n=graph.n, dist=new Array(n).fill(Infinity), prev=new Array(n).fill(-1), done=new Array(n).fill(false);
+  dist[from]=0;
+  for(;;){
+    let u=-1;
+    for(let i=0;i<n;i++) if(!done[i] && dist[i]<Infinity && (u<0 || dist[i]<dist[u])) u=i;
+    if(u<0 || u===to) break;
+    done[u]=true;
+    graph.adj[u].forEach(({j,w})=>{ if(dist[u]+w<dist[j]){ dist[j]=dist[u]+w; prev[j]=u; } });
+  }
+  if(dist[to]===Infinity) return [];
+  const out=[];
+  for(let v=to; v>=0; v=prev[v]) out.unshift(v);
+  return out;
+}
+
+// restart the build after STATES changed; the old graph stays up until it is done
+function invalidateGraph(){ graphJob=buildGraph(); }
+
+function stepGraphBuild(){
+  if(!graphJob && (!graph || graph.n!==STATES.length)) invalidateGraph();
+  if(!graphJob) return;
+  const end=performance.now()+GRAPH_SLICE_MS;
+  while(!graphJob.next().done) if(performance.now()>end) return;
+  graphJob=null;
+}
+
+// routes and neighbour steps need a graph of the current STATES
+const graphCurrent=()=>!graphJob && !!graph && graph.n===STATES.length;
+
+const graphCanvas=document.getElementById('graph-canvas'), gctx=graphCanvas.getContext('2d');
+const GRAPH_PAD = 10;
+
+function graphPoints(){
+  const xs=graph.xy.map(p=>p.x), ys=graph.xy.map(p=>p.y);
+  const x0=Math.min(...xs), x1=Math.max(...xs), y0=Math.min(...ys), y1=Math.max(...ys);
+  const gw=graphCanvas.width-2*GRAPH_PAD, gh=graphCanvas.height-2*GRAPH_PAD;
+  return graph.xy.map(p=>({
+    x:GRAPH_PAD+gw*(p.x-x0)/((x1-x0)||1),
+    y:GRAPH_PAD+gh*(p.y-y0)/((y1-y0)||1)
+  }));
+}
+
+let graphKey='';
+function drawGraph(){
+  stepGraphBuild();
+  if(!graph){
+    if(graphKey!=='building'){
+      graphKey='building';
+      gctx.clearRect(0,0,graphCanvas.width,graphCanvas.height);
+      gctx.fillStyle='#888'; gctx.font='12px Arial';
+      gctx.fillText('Building graph…', GRAPH_PAD, GRAPH_PAD+12);
+    }
+    return;
+  }
+  const key=[graph.build,currentState,path.join('-'),pathPos].join('|');
+  if(key===graphKey) return;
+  graphKey=key;
+  const pts=graphPoints(), onPath=new Set(path);
+  const near=new Set((graph.adj[currentState]||[]).map(e=>e.j));
+  gctx.clearRect(0,0,graphCanvas.width,graphCanvas.height);
+  gctx.lineWidth=1;
+  gctx.strokeStyle='#444';
+  gctx.beginPath();
+  graph.adj.forEach((es,i)=>es.forEach(({j})=>{
+    if(j>i){ gctx.moveTo(pts[i].x,pts[i].y); gctx.lineTo(pts[j].x,pts[j].y); }
+  }));
+  gctx.stroke();
+  if(path.length>1){
+    gctx.strokeStyle='#f1c40f'; gctx.lineWidth=2;
+    gctx.beginPath();
+    path.forEach((i,n)=>n ? gctx.lineTo(pts[i].x,pts[i].y) : gctx.moveTo(pts[i].x,pts[i].y));
+    gctx.stroke();
+  }
+  pts.forEach((p,i)=>{
+    gctx.fillStyle = i===currentState ? '#fff' : onPath.has(i) ? '#f1c40f' : near.has(i) ? '#2ecc71' : '#888';
+    gctx.beginPath(); gctx.arc(p.x,p.y,i===currentState ? 4 : 2.5,0,Math.PI*2); gctx.fill();
+  });
+}
+
+function updatePathLabel(){
+  document.getElementById('path-label').textContent=
+    path.length ? `${pathPos+1}/${path.length}` : '';
+}
+
+function goPath(to){
+  if(currentState<0 || to<0 || !graphCurrent()) return;
+  path=shortestPath(currentState,to); pathPos=0;
+  updatePathLabel();
+}
+
+function stepPath(dir){
+  if(!path.length) return;
+  pathPos=Math.max(0,Math.min(path.length-1,pathPos+dir));
+  selectState(path[pathPos]);
+  updatePathLabel();
+}
+
+// next/prev neighbour of the state you started stepping from
+function stepNeighbour(dir){
+  if(currentState<0 || !graphCurrent()) return;
+  const list=nav.anchor>=0 ? graph.adj[nav.anchor].map(e=>e.j) : [];
+  if(nav.anchor<0 || list[nav.pos]!==currentState){ nav.anchor=currentState; nav.pos=-1; }
+  const nb=graph.adj[nav.anchor];
+  if(!nb.length) return;
+  nav.pos=((nav.pos<0 && dir<0 ? 0 : nav.pos)+dir+nb.length)%nb.length;
+  selectState(nb[nav.pos].j);
+  document.getElementById('nb-label').textContent=`${nav.pos+1}/${nb.length}`;
+}
+
+(function bindGraph(){
+  graphCanvas.onclick=e=>{
+    if(!graph) return;
+    const r=graphCanvas.getBoundingClientRect(), x=e.clientX-r.left, y=e.clientY-r.top;
+    let best=-1, bd=8;
+    graphPoints().forEach((p,i)=>{ const d=Math.hypot(p.x-x,p.y-y); if(d<bd){ bd=d; best=i; } });
+    if(best<0) return;
+    if(e.shiftKey) goPath(best);             // shift-click: route from current state
+    else selectState(best);
+  };
+  graphCanvas.onmousemove=e=>{
+    if(!graph) return;
+    const r=graphCanvas.getBoundingClientRect(), x=e.clientX-r.left, y=e.clientY-r.top;
+    const hit=graphPoints().findIndex(p=>Math.hypot(p.x-x,p.y-y)<8);
+    graphCanvas.title=hit<0 ? '' : stateName(STATES[hit]);
   };
-  q.oninput=rebuild; rebuild();
-  sel.onchange=e=>applyState(+e.target.value);
+  document.getElementById('nb-prev').onclick=()=>stepNeighbour(-1);
+  document.getElementById('nb-next').onclick=()=>stepNeighbour(1);
+  document.getElementById('path-go').onclick=()=>goPath(listChoice);
+  document.getElementById('path-prev').onclick=()=>stepPath(-1);
+  document.getElementById('path-next').onclick=()=>stepPath(1);
+})();
+
+/* ---------- camera: orbit / pan / zoom, preset views ----------------- */
+const VIEW_SECONDS = 0.6;                     // fly-to time for a preset
+const POV_BACK = 1.2;                         // eye distance behind the fighter's head
+let camTween=null;                            // {from,to,t0} while flying to a preset
+
+const camera=()=>({ radius, theta, phi, target:target.clone() });
+
+// pixel deltas, as from a drag; any manual move cancels a fly-to
+function orbit(dx,dy){
+  camTween=null;
+  theta-=dx*0.005; phi =Math.min(Math.PI-0.01, Math.max(0.01,phi-dy*0.005));
+}
+function zoom(f){ camTween=null; radius=Math.max(RADIUS_MIN,Math.min(RADIUS_MAX,radius*f)); }
+function pan(dx,dy){                          // scene follows the pointer at target depth
+  camTween=null;
+  const b=basis(), s=radius/(H*0.8);
+  target.sub(b.right.mul(dx*s)).add(b.up.mul(dy*s));
 }
 
-/* ---------- live avatars ---------------------------------------------- */
-const AV=[null,null];                        // red, blue
-let selected={idx:-1,av:-1},  dragging=false,x0=0,y0=0;
+const midpoint=()=>centroid([...AV[0].j, ...AV[1].j]);
 
-/* skeleton from state (14 points already in file) -> avatar ------------ */
-function applyState(idx){
-  const s=STATES[idx];
-  AV[0]=makeAvatar(s.skeleton1 || s.chain1 /*fallback*/);
-  AV[1]=makeAvatar(s.skeleton2 || s.chain2);
-  document.getElementById('nearest-state').textContent=s.name.replace(/\n/g,' / ');
+// over fighter a's head, looking at the opponent
+function pov(a){
+  const look=centroid(AV[1-a].j), back=AV[a].j[HEAD_IDX].clone().sub(look), d=back.len() || 1;
+  return { radius:Math.min(RADIUS_MAX, Math.max(RADIUS_MIN, d+POV_BACK)),
+           theta:Math.atan2(back.x,back.z), phi:Math.min(1.4, Math.max(0.1, Math.asin(back.y/d))),
+           target:look };
+}
+
+const VIEWS={
+  home:()=>({ radius:8, theta:Math.PI/4, phi:Math.PI/6, target:new V3() }),
+  top: ()=>({ radius:7, theta, phi:Math.PI/2-0.01, target:midpoint() }),
+  side:()=>{                                  // square on to the red→blue line
+    const d=centroid(AV[1].j).sub(centroid(AV[0].j));
+    return { radius:6, theta:Math.atan2(d.z,-d.x), phi:0.2, target:midpoint() };
+  },
+  red: ()=>pov(0),
+  blue:()=>pov(1),
+};
+const VIEW_KEYS={ '0':'home', '1':'top', '2':'side', '3':'red', '4':'blue' };
+
+function setView(name){
+  if(!AV[0] || recording) return;
+  camTween={ from:camera(), to:VIEWS[name](), t0:performance.now() };
+}
+
+function stepCamera(){
+  if(!camTween) return;
+  const {from,to}=camTween, u=Math.min(1,(performance.now()-camTween.t0)/1000/VIEW_SECONDS);
+  const e=u*u*(3-2*u), dθ=Math.atan2(Math.sin(to.theta-from.theta), Math.cos(to.theta-from.theta));
+  radius=from.radius+(to.radius-from.radius)*e;
+  theta=from.theta+dθ*e;                      // the short way round
+  phi=from.phi+(to.phi-from.phi)*e;
+  const t=from.target.clone().add(to.target.clone().sub(from.target).mul(e));
+  target.x=t.x; target.y=t.y; target.z=t.z;
+  if(u>=1) camTween=null;
 }
 
+(function bindViews(){
+  document.querySelectorAll('[data-view]').forEach(btn=>btn.onclick=()=>setView(btn.dataset.view));
+})();
+
 /* ---------- picking & interaction ------------------------------------ */
-canvas.oncontextmenu=e=>e.preventDefault();
-canvas.onmousedown=e=>{
-  x0=e.clientX; y0=e.clientY;
-  if(e.button===2){ dragging='cam'; return; }
+let picked=[];                                // multi-selection: [{av,idx}]
+let box=null;                                 // shift-drag selection rectangle
+let pendingSnap=null;                         // undo entry for the drag in progress
+
+function pickJoint(x,y){
   const b=basis();
   let best={d:1e9,av:-1,idx:-1};
   AV.forEach((av,a)=>{
     av.j.forEach((p,i)=>{
       const pr=project(p,b); if(!pr) return;
-      const d=Math.hypot(pr.x-e.clientX, pr.y-e.clientY);
+      const d=Math.hypot(pr.x-x, pr.y-y);
       if(d<best.d && d<12) best={d,av:a,idx:i};
     });
   });
-  if(best.av>-1){ selected=best; dragging='joint'; }
-};
-addEventListener('mouseup',()=>{ dragging=false; selected.idx=-1; });
-addEventListener('mousemove',e=>{
+  return best.av>-1 ? best : null;
+}
+
+const isPicked=(a,i)=>picked.some(s=>s.av===a && s.idx===i);
+
+function jointsInBox(r){
+  const b=basis(), out=[];
+  const [xa,xb]=[r.x0,r.x1].sort((m,n)=>m-n), [ya,yb]=[r.y0,r.y1].sort((m,n)=>m-n);
+  AV.forEach((av,a)=>av.j.forEach((p,i)=>{
+    const pr=project(p,b);
+    if(pr && pr.x>=xa && pr.x<=xb && pr.y>=ya && pr.y<=yb) out.push({av:a,idx:i});
+  }));
+  return out;
+}
+
+// move every picked joint by Δ; joints under a picked ancestor ride along
+function moveJoints(list, Δ){
+  AV.forEach((av,a)=>{
+    const mine=list.filter(s=>s.av===a && !av.pinned.has(s.idx)).map(s=>s.idx);
+    const under=i=>{ for(let p=PARENT[i]; p>=0; p=PARENT[p]) if(mine.includes(p)) return true; return false; };
+    const tops=mine.filter(i=>!under(i)), before=av.j.map(p=>p.clone());
+    tops.forEach(i=>moveJoint(i,Δ.clone(),av));
+    if(tops.length) resolveCollisions(AV,collisionSlack,a,tops[0],before);
+  });
+}
+
+const DOUBLE_TAP_MS = 350;                     // second press on a joint toggles its pin
+const touches=new Map();                      // active touch pointers: id → {x,y}
+let gesture=null;                             // centroid / spread of the last multi-touch move
+let lastTap={t:0,av:-1,idx:-1};
+
+function togglePin(hit){
+  const pins=AV[hit.av].pinned;
+  if(pins.has(hit.idx)) pins.delete(hit.idx); else pins.add(hit.idx);
+}
+
+// double-click / double-tap, so pins work the same with fingers
+function tapPin(hit){
+  const now=performance.now();
+  const again=hit && hit.av===lastTap.av && hit.idx===lastTap.idx && now-lastTap.t<DOUBLE_TAP_MS;
+  lastTap=hit && !again ? {t:now,av:hit.av,idx:hit.idx} : {t:0,av:-1,idx:-1};
+  if(again) togglePin(hit);
+  return again;
+}
+
+function startDrag(e){
+  x0=e.clientX; y0=e.clientY;
+  if(e.button===1 || (e.button===2 && e.shiftKey)){ dragging='pan'; return; }
+  if(e.button===2){ dragging='cam'; return; }
+  const hit=pickJoint(e.clientX,e.clientY);
+  if(e.shiftKey || e.altKey) lastTap.t=0;     // only plain presses make a double-tap
+  else if(tapPin(hit)) return;
+  if(e.shiftKey){                             // shift: toggle a joint, or box-select
+    if(hit) picked=isPicked(hit.av,hit.idx) ? picked.filter(s=>s.av!==hit.av || s.idx!==hit.idx)
+                                            : [...picked,{av:hit.av,idx:hit.idx}];
+    else { box={x0:e.clientX,y0:e.clientY,x1:e.clientX,y1:e.clientY}; dragging='box'; }
+    return;
+  }
+  if(!hit){ picked=[]; return; }
+  if(AV[hit.av].pinned.has(hit.idx)) return;  // pinned joints are anchors
+  if(!isPicked(hit.av,hit.idx)) picked=[];
+  setPlaying(false);                          // editing a joint pauses playback
+  selected=hit; dragging=e.altKey ? 'limb' : 'joint';
+  pendingSnap=snapshot();
+}
+
+function endDrag(){
+  if(dragging==='box'){
+    picked=[...picked, ...jointsInBox(box).filter(s=>!isPicked(s.av,s.idx))];
+    box=null;
+  }
+  dragging=false; selected.idx=-1; pendingSnap=null;
+}
+
+function dragMove(e){
   if(!dragging) return;
   const dx=e.clientX-x0, dy=e.clientY-y0; x0=e.clientX; y0=e.clientY;
-  if(dragging==='cam'){
-    theta-=dx*0.005; phi =Math.min(Math.PI-0.01, Math.max(0.01,phi-dy*0.005)); return;
-  }
+  if(dragging==='cam') return orbit(dx,dy);
+  if(dragging==='pan') return pan(dx,dy);
+  if(dragging==='box'){ box.x1=e.clientX; box.y1=e.clientY; return; }
   const b=basis(), av=AV[selected.av], i=selected.idx;
   const depth=av.j[i].clone().sub(b.pos).dot(b.fwd), scale=depth/(H*0.8);
   const delta=b.right.clone().mul(dx*scale).add(b.up.clone().mul(-dy*scale));
-  moveJoint(i,delta,av);
+  if(pendingSnap){ pushHistory(pendingSnap); pendingSnap=null; }
+  const before=av.j.map(p=>p.clone());          // collisions may undo the step
+  if(dragging==='limb' && rotateLimb(i,delta,av)) resolveCollisions(AV,collisionSlack,selected.av,i,before);
+  else if(isPicked(selected.av,i)) moveJoints(picked,delta);
+  else {
+    moveJoint(i,delta,av);
+    resolveCollisions(AV,collisionSlack,selected.av,i,before);
+  }
+}
+
+function touchGesture(){
+  const pts=[...touches.values()], n=pts.length;
+  return { n, x:pts.reduce((s,p)=>s+p.x,0)/n, y:pts.reduce((s,p)=>s+p.y,0)/n,
+           d:Math.hypot(pts[0].x-pts[1].x, pts[0].y-pts[1].y) };
+}
+
+// two fingers orbit and pinch-zoom, three pan
+function touchCamera(){
+  const g=touchGesture(), last=gesture;
+  gesture=g;
+  if(!last || last.n!==g.n) return;
+  const dx=g.x-last.x, dy=g.y-last.y;
+  if(g.n===2){ orbit(dx,dy); if(g.d>0 && last.d>0) zoom(last.d/g.d); }
+  else pan(dx,dy);
+}
+
+// pointer events: one finger or the mouse edits joints, extra fingers drive the camera
+canvas.oncontextmenu=e=>e.preventDefault();
+canvas.onpointerdown=e=>{
+  canvas.setPointerCapture(e.pointerId);
+  if(e.pointerType==='touch'){
+    touches.set(e.pointerId,{x:e.clientX,y:e.clientY});
+    if(touches.size>1){ endDrag(); gesture=touchGesture(); return; }
+  }
+  if(e.button===1) e.preventDefault();        // no autoscroll on middle-drag
+  startDrag(e);
+};
+canvas.onpointermove=e=>{
+  if(touches.has(e.pointerId)){
+    touches.set(e.pointerId,{x:e.clientX,y:e.clientY});
+    if(touches.size>1) return touchCamera();
+  }
+  dragMove(e);
+};
+canvas.onpointerup=canvas.onpointercancel=e=>{
+  if(touches.delete(e.pointerId) && touches.size){ gesture=touches.size>1 ? touchGesture() : null; return; }
+  gesture=null;
+  endDrag();
+};
+const KEY_PX=20, KEY_ZOOM=1.1;                // keyboard steps, as pixels of drag / zoom factor
+const CAM_KEYS={ ArrowLeft:[-KEY_PX,0], ArrowRight:[KEY_PX,0], ArrowUp:[0,-KEY_PX], ArrowDown:[0,KEY_PX] };
+// fields that own typed keys (their native undo, caret arrows); checkboxes,
+// the scrubber and buttons still pass shortcuts through
+const textEntry=el=>el.tagName==='TEXTAREA' || el.isContentEditable ||
+  (el.tagName==='INPUT' && /^(text|number|search)$/.test(el.type));
+addEventListener('keydown',e=>{
+  if(textEntry(e.target)) return;
+  const mod=e.ctrlKey || e.metaKey, key=e.key.toLowerCase();
+  if(mod && key==='z'){ e.preventDefault(); if(e.shiftKey) redo(); else undo(); }
+  else if(mod && key==='y'){ e.preventDefault(); redo(); }
+  else if(e.key==='Escape') picked=[];
+  else if(mod) return;
+  else if(CAM_KEYS[e.key]){                   // arrows orbit, shift+arrows pan
+    e.preventDefault();
+    const [dx,dy]=CAM_KEYS[e.key];
+    if(e.shiftKey) pan(dx,dy); else orbit(dx,dy);
+  }
+  else if(key==='+' || key==='=') zoom(1/KEY_ZOOM);
+  else if(key==='-' || key==='_') zoom(KEY_ZOOM);
+  else if(VIEW_KEYS[key]) setView(VIEW_KEYS[key]);
 });
-addEventListener('wheel',e=>{ radius=Math.max(3,Math.min(20,radius*Math.exp(e.deltaY*0.001))); });
+(function bindHistory(){
+  document.getElementById('undo').onclick=undo;
+  document.getElementById('redo').onclick=redo;
+  document.getElementById('reset').onclick=()=>{ if(currentState>=0) applyState(currentState); };
+})();
+canvas.addEventListener('wheel',e=>zoom(Math.exp(e.deltaY*0.001)),{passive:true});
 
 /* ---------- rendering ------------------------------------------------- */
+// selection rings, pin markers and the box-select rectangle
+function drawMarks(b){
+  ctx.strokeStyle=ctx.fillStyle='#fff';
+  ctx.lineWidth=1.5;
+  picked.forEach(({av,idx})=>{
+    const p=project(AV[av].j[idx],b); if(!p) return;
+    ctx.beginPath(); ctx.arc(p.x,p.y,Math.max(5,14/p.z),0,Math.PI*2); ctx.stroke();
+  });
+  AV.forEach(av=>av.pinned.forEach(i=>{
+    const p=project(av.j[i],b); if(!p) return;
+    ctx.fillRect(p.x-3,p.y-3,6,6);
+  }));
+  if(box){
+    ctx.setLineDash([4,3]);
+    ctx.strokeRect(box.x0,box.y0,box.x1-box.x0,box.y1-box.y0);
+    ctx.setLineDash([]);
+  }
+}
+
 function drawAvatar(av,col,b){
   const proj = av.j.map(p=>project(p,b));
   ctx.strokeStyle = ctx.fillStyle = col;
@@ -265,26 +959,119 @@ function drawAvatar(av,col,b){
   }
 }
 
-function linkNumber(){
-  // quick 2-D signed crossing count (XY)
-  const segs=a=>a.j.slice(0,-1).map((p,i)=>[p,a.j[i+1]]);
-  const o=(a,b,c)=> (b.x-a.x)*(c.y-a.y)-(b.y-a.y)*(c.x-a.x);
-  let c=0; segs(AV[0]).forEach(as=>{
-    segs(AV[1]).forEach(bs=>{
-      const [a1,a2]=as,[b1,b2]=bs;
-      if(o(a1,a2,b1)*o(a1,a2,b2)<0 && o(b1,b2,a1)*o(b1,b2,a2)<0)
-        c+=o(a1,a2,b1)>0?1:-1;
-    });
+/* ---------- linking panel -------------------------------------------- */
+const LINK_SHOWN = 6;                         // limb pairs listed in the panel
+
+let linkKey='';
+function updateLinking(){
+  const {total,limbs}=gaussLinking(AV[0],AV[1]);
+  const top=limbs.filter(l=>Math.abs(l.lk)>=0.005)
+                 .sort((x,y)=>Math.abs(y.lk)-Math.abs(x.lk))
+                 .slice(0,LINK_SHOWN);
+  const fmt=v=>(v<0?'':'+')+v.toFixed(2);
+  const rows=[
+    `Writhe: red ${fmt(writhe(AV[0]))} / blue ${fmt(writhe(AV[1]))}`,
+    ...top.map(l=>`red ${l.a} × blue ${l.b}: ${fmt(l.lk)}`)
+  ];
+  document.getElementById('link-value').textContent=total.toFixed(2);
+  const key=rows.join('|');
+  if(key===linkKey) return;
+  linkKey=key;
+  const box=document.getElementById('link-breakdown');
+  box.innerHTML='';
+  rows.forEach((t,n)=>{
+    const d=document.createElement('div');
+    d.textContent=t;
+    if(n===0) d.className='writhe';
+    box.appendChild(d);
   });
-  return c/2;
 }
 
+/* ---------- topology coordinates & nearest state --------------------- */
+const NEAREST_K = 5;
+
+function nearestStates(f,k=NEAREST_K){
+  return STATES
+    .map((s,i)=>({i, d:s.features ? Math.hypot(s.features[0]-f[0], s.features[1]-f[1]) : Infinity}))
+    .filter(h=>isFinite(h.d))
+    .sort((a,b)=>a.d-b.d)
+    .slice(0,k);
+}
+
+let nearestKey='';                            // skip DOM work when unchanged
+function updateNearest(){
+  const hits=nearestStates(topologyFeatures(AV[0],AV[1]));
+  const key=hits.map(h=>h.i+':'+h.d.toFixed(3)).join();
+  if(key===nearestKey) return;
+  nearestKey=key;
+  if(listSort()==='near') refreshStateList();  // the pose moved: re-rank
+  document.getElementById('nearest-state').textContent=hits.length ? stateName(STATES[hits[0].i]) : '-';
+  const list=document.getElementById('nearest-list');
+  list.innerHTML='';
+  hits.forEach(h=>{
+    const li=document.createElement('li');
+    li.textContent=`${stateName(STATES[h.i])} (${h.d.toFixed(3)})`;
+    li.title='Snap to this pose';
+    li.onclick=()=>applyState(h.i);
+    list.appendChild(li);
+  });
+}
+
+/* ---------- export: PNG snapshot, orbit video ----------------------- */
+const ORBIT_SECONDS = 6;                      // one full turn of the camera
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'];   // mp4 for Safari
+let recording=null;                           // {rec, t0, theta0} while an orbit is recorded
+
+const exportName=()=>(currentState>=0 ? stateName(STATES[currentState]) : 'grapple-pose')
+                      .replace(/[^\w-]+/g,'_').slice(0,60);
+
+function savePNG(){
+  canvas.toBlob(blob=>{ if(blob) saveBlob(blob, exportName()+'.png'); }, 'image/png');
+}
+
+// one turn about the current orbit centre, captured from the canvas as it renders
+function recordOrbit(){
+  if(recording || !AV[0]) return;
+  const type=window.MediaRecorder && canvas.captureStream
+             ? VIDEO_TYPES.find(t=>MediaRecorder.isTypeSupported(t)) : null;
+  if(!type) return userStatus('Video export is not supported by this browser.');
+  const rec=new MediaRecorder(canvas.captureStream(30), {mimeType:type}), chunks=[];
+  const btn=document.getElementById('export-orbit');
+  rec.ondataavailable=e=>{ if(e.data.size) chunks.push(e.data); };
+  rec.onstop=()=>{
+    saveBlob(new Blob(chunks,{type}), exportName()+'-orbit.'+(type.startsWith('video/mp4') ? 'mp4' : 'webm'));
+    btn.textContent='Orbit video'; userStatus('');
+  };
+  camTween=null;
+  recording={ rec, t0:performance.now(), theta0:theta };
+  rec.start();
+  btn.textContent='● Recording'; userStatus(`Recording a ${ORBIT_SECONDS}s orbit…`);
+}
+
+function stepRecording(){
+  if(!recording) return;
+  const u=Math.min(1,(performance.now()-recording.t0)/1000/ORBIT_SECONDS);
+  theta=recording.theta0+2*Math.PI*u;
+  if(u>=1){ recording.rec.stop(); recording=null; }
+}
+
+(function bindExport(){
+  document.getElementById('export-png').onclick=savePNG;
+  document.getElementById('export-orbit').onclick=recordOrbit;
+})();
+
 (function loop(){
-  ctx.clearRect(0,0,W,H);
+  ctx.fillStyle=BACKGROUND; ctx.fillRect(0,0,W,H);
   if(!AV[0]) return requestAnimationFrame(loop);
+  stepTimeline();
+  stepCamera();
+  stepRecording();
   const b=basis();
   drawAvatar(AV[0],COLOR[0],b);
   drawAvatar(AV[1],COLOR[1],b);
-  document.getElementById('link-value').textContent=linkNumber().toFixed(1);
+  drawMarks(b);
+  updateLinking();
+  updateNearest();
+  drawGraph();
   requestAnimationFrame(loop);
 })();
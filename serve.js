@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/* -----------------------------------------------------------
+ * Static file server for the demo page
+ *   serve [port]    serves this folder on http://localhost:<port>/ (default 8080)
+ * script.js is an ES module, which browsers refuse to load from file://.
+ * --------------------------------------------------------- */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('.', import.meta.url));
+const TYPES = {
+  '.html':'text/html; charset=utf-8', '.js':'text/javascript; charset=utf-8',
+  '.css':'text/css; charset=utf-8',   '.json':'application/json; charset=utf-8'
+};
+
+const port=Number(process.argv[2] || process.env.PORT || 8080);
+
+createServer(async (req,res)=>{
+  const path=decodeURIComponent(new URL(req.url,'http://x').pathname);
+  const file=normalize(join(ROOT, path.endsWith('/') ? path+'index.html' : path));
+  if(!(file+sep).startsWith(ROOT)){ res.writeHead(403).end(); return; }   // no escaping the folder
+  try{
+    const body=await readFile(file);
+    res.writeHead(200,{'Content-Type':TYPES[extname(file)] || 'application/octet-stream','Cache-Control':'no-cache'});
+    res.end(body);
+  }catch{
+    res.writeHead(404).end('not found');
+  }
+}).listen(port,()=>console.log(`serving ${ROOT} on http://localhost:${port}/`));
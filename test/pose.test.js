@@ -0,0 +1,263 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  V3, PARENT, BONES, IK_CHAINS, JOINT_LIMITS, HEAD_IDX, SHOULDER_L_IDX, FLOOR_Y,
+  makeAvatar, clampToParent, clampRadialDelta, moveJoint, incomingDir, limitBend,
+  hingeAxis, solveChain, satisfyPins, rotateLimb, restoreBones, capsuleContact, contactSlack,
+  resolveCollisions, COLLISION_PAIRS, COLLISION_TOL, segmentLink, gaussLinking, writhe,
+  planarLink, topologyFeatures, interpolateSkeleton, poseRecord, isPoseRecord, poseDiff, analyzeState
+} from '../pose.js';
+
+const STATES = JSON.parse(readFileSync(new URL('../grapple_states.json', import.meta.url), 'utf8'));
+const pair = (n=0) => [makeAvatar(STATES[n].skeleton1), makeAvatar(STATES[n].skeleton2)];
+
+// worst |bone length - rest length| over the whole skeleton
+const boneError = av => Math.max(...av.j.map((p,i) =>
+  PARENT[i] < 0 ? 0 : Math.abs(p.clone().sub(av.j[PARENT[i]]).len() - av.len[i])));
+
+// worst capsule overlap beyond the allowed slack
+const overlap = (avs, slack) => Math.max(...COLLISION_PAIRS.map(([a,i,b,k], n) =>
+  capsuleContact(avs[a],i,avs[b],k).depth - slack[n]));
+
+const bendAt = (av, m, c) => {
+  const a = incomingDir(av, m).norm(), d = av.j[c].clone().sub(av.j[m]).norm();
+  return Math.acos(Math.max(-1, Math.min(1, a.dot(d)))) * 180 / Math.PI;
+};
+
+// component of the outgoing bone at hinge m towards the forbidden side (null if undefined)
+const wrongSide = (av, m, c) => {
+  const n = hingeAxis(av, m).cross(incomingDir(av, m).norm());
+  return n.len() > 0.2 ? av.j[c].clone().sub(av.j[m]).norm().dot(n.norm()) : null;
+};
+
+test('makeAvatar records rest lengths from the skeleton', () => {
+  const [av] = pair();
+  assert.equal(av.j.length, PARENT.length);
+  assert.ok(av.j[0] instanceof V3);
+  assert.equal(boneError(av), 0);
+  assert.ok(av.shoulderWidth > 0);
+});
+
+test('clampToParent restores bone length and respects pins', () => {
+  const [av] = pair();
+  av.j[6].add(new V3(0.3, 0.2, 0));
+  clampToParent(6, av);
+  assert.ok(Math.abs(av.j[6].clone().sub(av.j[5]).len() - av.len[6]) < 1e-12);
+
+  const pinned = av.j[6].clone().add(new V3(0.1, 0, 0));
+  av.j[6] = pinned.clone();
+  av.pinned.add(6);
+  clampToParent(6, av);
+  assert.deepEqual(av.j[6], pinned);
+});
+
+test('clampRadialDelta strips outward motion beyond shoulder width', () => {
+  const [av] = pair();
+  const out = av.j[HEAD_IDX].clone().sub(av.j[SHOULDER_L_IDX]).norm().mul(10);
+  const d = clampRadialDelta(HEAD_IDX, out, av);
+  const after = av.j[HEAD_IDX].clone().add(d).sub(av.j[SHOULDER_L_IDX]).len();
+  assert.ok(after <= av.shoulderWidth + 1e-9);
+});
+
+test('moveJoint keeps every bone length', () => {
+  const [av] = pair(3);
+  for (const i of [1, 3, 5, 9, 12]) moveJoint(i, new V3(0.05, 0.08, -0.04), av);
+  assert.ok(boneError(av) < 1e-9);
+});
+
+test('moveJoint on the root translates the whole avatar', () => {
+  const [av] = pair();
+  const before = av.j.map(p => p.clone());
+  moveJoint(PARENT.indexOf(-1), new V3(0.1, 0, 0.2), av);
+  av.j.forEach((p, i) => assert.ok(p.clone().sub(before[i]).sub(new V3(0.1, 0, 0.2)).len() < 1e-12));
+});
+
+test('FABRIK reaches a reachable target with a fixed root', () => {
+  const [av] = pair(5);
+  const root = av.j[4].clone(), target = av.j[6].clone().add(new V3(0.05, 0.1, 0));
+  solveChain(av, [4, 5, 6], target);
+  assert.deepEqual(av.j[4], root);
+  assert.ok(av.j[6].clone().sub(target).len() < 1e-3);
+  assert.ok(boneError(av) < 1e-9);
+});
+
+test('end-effector drags stay within joint limits', () => {
+  for (let n = 0; n < STATES.length; n += 20){
+    const [av] = pair(n);
+    for (const chain of IK_CHAINS){
+      const end = chain[chain.length-1];
+      moveJoint(end, new V3(0.12, -0.2, 0.1), av);
+    }
+    for (const chain of IK_CHAINS){
+      chain.slice(0, -1).forEach((m, k) => {
+        if (!JOINT_LIMITS[m]) return;
+        assert.ok(bendAt(av, m, chain[k+1]) <= JOINT_LIMITS[m].maxBend + 1e-6, `state ${n} joint ${m}`);
+      });
+    }
+    assert.ok(boneError(av) < 1e-9);
+  }
+});
+
+test('end-effector drags leave knees and elbows bent their own way', () => {
+  const hinges = IK_CHAINS.flatMap(c => c.slice(0, -1).map((m, k) => [m, c[k+1]]))
+                          .filter(([m]) => JOINT_LIMITS[m] && JOINT_LIMITS[m].hinge);
+  assert.deepEqual(hinges.map(([m]) => m).sort((a, b) => a - b), [1, 5, 9, 12]);
+  for (let n = 0; n < STATES.length; n += 10){
+    const [av] = pair(n);
+    for (const chain of IK_CHAINS) moveJoint(chain[chain.length-1], new V3(-0.15, 0.1, 0.2), av);
+    for (const [m, c] of hinges){
+      const s = wrongSide(av, m, c);
+      assert.ok(s === null || s <= 1e-6, `state ${n} joint ${m}: ${s}`);
+    }
+  }
+});
+
+test('limitBend flips a knee bent the wrong way', () => {
+  const lateral = new V3(1, 0, 0), thigh = new V3(0, -1, 0);
+  const forward = new V3(0, -1, -1).norm();             // shin swinging to the front
+  const d = limitBend(1, thigh, forward, lateral);
+  assert.ok(thigh.cross(d).dot(lateral) <= 1e-12);
+});
+
+test('limitBend folds an elbow the opposite way to a knee', () => {
+  const axis = new V3(-1, 0, 0), upperArm = new V3(0, -1, 0);  // right→left shoulder, arm hanging
+  const back = new V3(0, -1, 1).norm();                         // forearm swinging behind
+  const d = limitBend(5, upperArm, back, axis);
+  assert.ok(d.z < 0 && Math.abs(d.len() - 1) < 1e-12);
+  assert.deepEqual(limitBend(5, upperArm, new V3(0, -1, -1).norm(), axis), new V3(0, -1, -1).norm());
+});
+
+test('pinned joints stay put while the rest moves', () => {
+  const [av] = pair(8);
+  av.pinned.add(5);
+  const elbow = av.j[5].clone();
+  moveJoint(6, new V3(0.1, 0.1, 0), av);
+  moveJoint(3, new V3(0.02, 0.03, 0), av);
+  satisfyPins(av);
+  assert.deepEqual(av.j[5], elbow);
+  assert.ok(boneError(av) < 1e-9);
+});
+
+test('a pin out of reach stops the drag instead of stretching bones', () => {
+  const [av] = pair(8);
+  av.pinned.add(6);
+  const hand = av.j[6].clone(), core = av.j[3].clone();
+  moveJoint(3, new V3(0.4, 0.2, 0), av);                 // further than the arm reaches
+  assert.deepEqual(av.j[6], hand);
+  assert.ok(boneError(av) < 1e-9);
+  assert.ok(av.j[3].clone().sub(core).len() > 0.05);     // still moved as far as it could
+
+  const [legs] = pair(8);
+  legs.pinned.add(1);
+  const knee = legs.j[1].clone();
+  moveJoint(PARENT.indexOf(-1), new V3(0.3, 0, 0), legs);
+  assert.deepEqual(legs.j[1], knee);
+  assert.ok(boneError(legs) < 1e-9);
+
+  rotateLimb(5, new V3(0.2, 0.1, 0), av);
+  assert.ok(boneError(av) < 1e-9);
+});
+
+test('rotateLimb is rigid', () => {
+  const [av] = pair(2);
+  const span = av.j[6].clone().sub(av.j[4]).len();
+  assert.equal(rotateLimb(6, new V3(0, 0.2, 0.1), av), true);
+  assert.ok(Math.abs(av.j[6].clone().sub(av.j[4]).len() - span) < 1e-12);
+  assert.ok(boneError(av) < 1e-12);
+  assert.equal(rotateLimb(2, new V3(0, 0.1, 0), av), false);
+});
+
+test('restoreBones repairs a scrambled skeleton top-down', () => {
+  const [av] = pair();
+  av.j.forEach((p, i) => p.add(new V3(0.01*i, -0.02*i, 0.005*i)));
+  restoreBones(av);
+  assert.ok(boneError(av) < 1e-12);
+});
+
+test('collision solver keeps capsules apart, bones intact and joints above the floor', () => {
+  const avs = pair(0), slack = contactSlack(avs);
+  const target = avs[1].j[3].clone();
+  for (let k = 0; k < 40; k++){
+    const step = target.clone().sub(avs[0].j[8]).mul(0.1);
+    step.y -= 0.03;
+    const before = avs[0].j.map(p => p.clone());
+    moveJoint(8, step, avs[0]);
+    resolveCollisions(avs, slack, 0, 8, before);
+  }
+  assert.ok(overlap(avs, slack) <= COLLISION_TOL);
+  assert.ok(boneError(avs[0]) < 1e-9);
+  assert.ok(Math.min(...avs[0].j.map(p => p.y)) >= FLOOR_Y - 1e-9);
+});
+
+test('dragging any limb into the opponent core stays within COLLISION_TOL', () => {
+  const avs = pair(160), slack = contactSlack(avs);
+  for (const j of [8, 6, 0, 13, 7, 5, 9]){
+    for (let k = 0; k < 30; k++){
+      const before = avs[0].j.map(p => p.clone());
+      moveJoint(j, avs[1].j[3].clone().sub(avs[0].j[j]).mul(0.15), avs[0]);
+      resolveCollisions(avs, slack, 0, j, before);
+    }
+    assert.ok(overlap(avs, slack) <= COLLISION_TOL, `joint ${j}`);
+    assert.ok(boneError(avs[0]) < 1e-9);
+  }
+});
+
+test('segmentLink of two linked rings is ±1', () => {
+  const N = 48, ring = f => Array.from({length:N}, (_, i) => f(2*Math.PI*i/N));
+  const A = ring(t => new V3(Math.cos(t), Math.sin(t), 0));
+  const B = ring(t => new V3(1 + Math.cos(t), 0, Math.sin(t)));
+  let lk = 0;
+  for (let i = 0; i < N; i++) for (let k = 0; k < N; k++)
+    lk += segmentLink(A[i], A[(i+1)%N], B[k], B[(k+1)%N]);
+  assert.ok(Math.abs(Math.abs(lk) - 1) < 1e-6);
+});
+
+test('linking number and writhe are invariant under rigid motion', () => {
+  const [a, b] = pair(4);
+  const l0 = gaussLinking(a, b).total, w0 = writhe(a);
+  const c = Math.cos(0.7), s = Math.sin(0.7);
+  for (const av of [a, b]) av.j = av.j.map(p => new V3(c*p.x - s*p.z + 2, p.y + 1, s*p.x + c*p.z - 3));
+  assert.ok(Math.abs(gaussLinking(a, b).total - l0) < 1e-9);
+  assert.ok(Math.abs(writhe(a) - w0) < 1e-9);
+  assert.equal(gaussLinking(a, b).limbs.length, 36);
+});
+
+test('topologyFeatures reproduce the library features', () => {
+  const pts = c => c.map(p => new V3(p.x, p.y, p.z));
+  STATES.forEach((s, i) =>
+    assert.equal(planarLink(pts(s.chain1), pts(s.chain2)), s.features[0], `state ${i}`));
+
+  const f = STATES.map(s => topologyFeatures(makeAvatar(s.skeleton1), makeAvatar(s.skeleton2)));
+  assert.ok(f.every((g, i) => Math.abs(g[1] - STATES[i].features[1]) < 0.05));
+  // our hand point sits a few cm off the library's, which flips these
+  // near-crossings by half a link; any other change is a regression
+  const linkOff = f.flatMap((g, i) => g[0] === STATES[i].features[0] ? [] : [i]);
+  assert.deepEqual(linkOff, [72, 115, 129, 150]);
+  assert.ok(analyzeState(STATES[0]).featureError < 0.01);
+});
+
+test('interpolateSkeleton hits both ends and keeps bone lengths', () => {
+  const A = STATES[1].skeleton1, B = STATES[9].skeleton1;
+  const a = makeAvatar(A), b = makeAvatar(B);
+  assert.ok(poseDiff({skeleton1:interpolateSkeleton(A,B,0), skeleton2:[]}, {skeleton1:A, skeleton2:[]}).max < 1e-12);
+  assert.ok(poseDiff({skeleton1:interpolateSkeleton(A,B,1), skeleton2:[]}, {skeleton1:B, skeleton2:[]}).max < 1e-12);
+  const mid = makeAvatar(interpolateSkeleton(A, B, 0.5));
+  BONES.forEach(([, c]) => assert.ok(Math.abs(mid.len[c] - (a.len[c] + b.len[c])/2) < 1e-12));
+});
+
+test('poseRecord writes the library schema', () => {
+  const [a, b] = pair(6);
+  const rec = poseRecord('mine', a, b);
+  assert.deepEqual(Object.keys(rec), Object.keys(STATES[6]));
+  assert.equal(rec.chain1.length, STATES[6].chain1.length);
+  assert.ok(isPoseRecord(rec));
+  assert.ok(isPoseRecord(JSON.parse(JSON.stringify(rec))));
+  assert.ok(!isPoseRecord({ name:'broken', skeleton1:[], skeleton2:[] }));
+});
+
+test('poseDiff of a state with itself is zero', () => {
+  const d = poseDiff(STATES[3], STATES[3]);
+  assert.equal(d.max, 0);
+  assert.equal(d.joints.length, 2*PARENT.length);
+});